@@ -1,5 +1,10 @@
 // Windows-compatible script to start WhatsApp Secretary with GPT-4
 process.env.USE_OPENAI = 'true';
 
-// Load the main application
-require('../src/whatsapp-secretary.js');
+// Load and start the main application
+const { start } = require('../src/whatsapp-secretary.js');
+
+start().catch((error) => {
+  console.log(`❌ Startup error: ${error.message}`);
+  process.exit(1);
+});
@@ -1,11 +1,39 @@
 require('dotenv').config();
+const fs = require('fs');
 
 const config = {
   // WhatsApp Configuration
   whatsapp: {
     targetGroupName: process.env.TARGET_GROUP_NAME || "Family Events",
+    chatsConfigPath: process.env.CHATS_CONFIG_PATH || './chats.json',
+    privateChats: process.env.PRIVATE_CHATS === 'true' || false,
     autoReply: process.env.AUTO_REPLY === 'true' || false,
-    replyMessage: process.env.REPLY_MESSAGE || "📅 Event added to calendar!"
+    replyMessage: process.env.REPLY_MESSAGE || "📅 Event added to calendar!",
+    // Send .ics files of events: none, created, queried or all
+    icsAttachments: process.env.ICS_ATTACHMENTS || 'none',
+    // Events of a message deleted for everyone: delete, flag or ignore
+    onRevoke: process.env.REVOKED_MESSAGE_ACTION || 'delete'
+  },
+
+  // Messaging transport: whatsapp, telegram or console (interactive terminal)
+  transport: {
+    type: process.env.TRANSPORT || 'whatsapp',
+    telegramBotToken: process.env.TELEGRAM_BOT_TOKEN,
+    telegramPollTimeout: parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30, // seconds
+    // Monitored group the console speaks in (default: the first one)
+    consoleChatName: process.env.CONSOLE_CHAT_NAME
+  },
+
+  // Keeping the WhatsApp session alive: reconnects after a disconnect, wait
+  // doubling from the base up to the max, and a periodic check that the
+  // browser page still answers
+  connection: {
+    reconnectBaseSeconds: parseInt(process.env.RECONNECT_BASE_SECONDS) || 5,
+    reconnectMaxSeconds: parseInt(process.env.RECONNECT_MAX_SECONDS) || 300,
+    healthCheckSeconds: parseInt(process.env.HEALTH_CHECK_SECONDS) || 60,
+    healthCheckTimeoutSeconds: parseInt(process.env.HEALTH_CHECK_TIMEOUT_SECONDS) || 30,
+    // Chat told when the session recovers (default: your "message yourself" chat)
+    adminChatId: process.env.ADMIN_CHAT_ID
   },
 
   // Google Calendar Configuration
@@ -34,6 +62,122 @@ const config = {
     enabled: process.env.USE_OPENAI === 'true' || false
   },
 
+  // Voice note transcription (backend: none, whisper-cpp or openai)
+  transcription: {
+    backend: process.env.TRANSCRIPTION_BACKEND || 'none',
+    language: process.env.TRANSCRIPTION_LANGUAGE || 'auto',
+    maxDurationSeconds: parseInt(process.env.TRANSCRIPTION_MAX_DURATION_SECONDS) || 180,
+    timeout: parseInt(process.env.TRANSCRIPTION_TIMEOUT) || 120000, // 2 minutes
+    // whisper.cpp
+    whisperBinary: process.env.WHISPER_CPP_BINARY || 'whisper-cli',
+    whisperModel: process.env.WHISPER_CPP_MODEL,
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // OpenAI-compatible endpoint
+    apiKey: process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.TRANSCRIPTION_BASE_URL || undefined,
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1'
+  },
+
+  // Event details from photos (backend: none, tesseract or openai;
+  // mode: propose asks for a YES first, create adds the event directly)
+  images: {
+    backend: process.env.IMAGE_BACKEND || 'none',
+    mode: process.env.IMAGE_EVENT_MODE || 'propose',
+    timeout: parseInt(process.env.IMAGE_TIMEOUT) || 60000, // 1 minute
+    // tesseract
+    tesseractBinary: process.env.TESSERACT_BINARY || 'tesseract',
+    tesseractLanguages: process.env.TESSERACT_LANGUAGES || 'eng',
+    // OpenAI-compatible vision model
+    apiKey: process.env.IMAGE_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.IMAGE_BASE_URL || undefined,
+    model: process.env.IMAGE_MODEL || 'gpt-4o-mini'
+  },
+
+  // Conversation memory per chat (follow-ups like "actually make it 4pm")
+  conversation: {
+    maxTurns: parseInt(process.env.CONVERSATION_MAX_TURNS) || 6,
+    ttlMinutes: parseInt(process.env.CONVERSATION_TTL_MINUTES) || 30
+  },
+
+  // Pending actions (clarifying questions waiting for an answer)
+  pendingActions: {
+    ttlMinutes: parseInt(process.env.PENDING_ACTION_TTL_MINUTES) || 10
+  },
+
+  // Destructive operations that need a "YES" in WhatsApp before they run
+  // (comma-separated: delete, bulk, reschedule; "none" to disable)
+  confirmation: {
+    operations: (process.env.CONFIRM_OPERATIONS || 'delete,bulk,reschedule')
+      .split(',')
+      .map(operation => operation.trim())
+      .filter(operation => operation && operation !== 'none'),
+    windowMinutes: parseInt(process.env.CONFIRMATION_WINDOW_MINUTES) || 5
+  },
+
+  // Persisted state (operation journal, ...)
+  storage: {
+    dataDir: process.env.DATA_DIR || './data'
+  },
+
+  // Undo: how many calendar operations the journal keeps
+  undo: {
+    journalSize: parseInt(process.env.UNDO_JOURNAL_SIZE) || 200
+  },
+
+  // Emoji reactions on the secretary's replies (👍 confirm, ❌ cancel, ↩️ undo)
+  reactions: {
+    enabled: process.env.REACTIONS_ENABLED !== 'false',
+    windowHours: parseInt(process.env.REACTION_WINDOW_HOURS) || 24
+  },
+
+  // Optional HTTP server with /healthz and /status for watchdogs and uptime
+  // monitors. Listens on this machine only unless STATUS_SERVER_HOST is set.
+  statusServer: {
+    enabled: process.env.STATUS_SERVER_ENABLED === 'true' || false,
+    port: parseInt(process.env.STATUS_SERVER_PORT) || 8787,
+    host: process.env.STATUS_SERVER_HOST || '127.0.0.1',
+    // A calendar or LLM check that takes longer reports { ok: false, error: 'timeout' }
+    checkTimeoutSeconds: parseInt(process.env.STATUS_CHECK_TIMEOUT_SECONDS) || 10
+  },
+
+  // Durable message queue: failed messages are retried with exponential
+  // backoff, and unfinished ones replayed on startup unless too old
+  queue: {
+    maxAgeMinutes: parseInt(process.env.QUEUE_MAX_AGE_MINUTES) || 60,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+    retryBaseSeconds: parseInt(process.env.QUEUE_RETRY_BASE_SECONDS) || 10
+  },
+
+  // Daily agenda digest posted to each group (chats.json "digest" overrides)
+  digest: {
+    enabled: process.env.DIGEST_ENABLED === 'true' || false,
+    time: process.env.DIGEST_TIME || '20:00',
+    // Which day's agenda: today or tomorrow
+    day: process.env.DIGEST_DAY || 'tomorrow',
+    skipEmpty: process.env.DIGEST_SKIP_EMPTY !== 'false'
+  },
+
+  // Week-ahead summary posted to each group (chats.json "weeklySummary" overrides)
+  weeklySummary: {
+    enabled: process.env.WEEKLY_SUMMARY_ENABLED === 'true' || false,
+    day: process.env.WEEKLY_SUMMARY_DAY || 'sunday',
+    time: process.env.WEEKLY_SUMMARY_TIME || '19:00'
+  },
+
+  // WhatsApp reminders before events start (chats.json "reminders" overrides;
+  // events can have their own time, e.g. "remind me 2 hours before")
+  reminders: {
+    enabled: process.env.REMINDERS_ENABLED === 'true' || false,
+    minutesBefore: parseInt(process.env.REMINDER_MINUTES_BEFORE) || 30,
+    pollSeconds: parseInt(process.env.REMINDER_POLL_SECONDS) || 60
+  },
+
+  // How long processed message IDs are remembered, so a message WhatsApp
+  // delivers again is not processed twice
+  idempotency: {
+    messageRetentionHours: parseInt(process.env.PROCESSED_MESSAGE_RETENTION_HOURS) || 72
+  },
+
   // Processing Configuration
   processing: {
     maxConcurrentCalendarOps: parseInt(process.env.MAX_CONCURRENT_CALENDAR_OPS) || 3,
@@ -59,4 +203,56 @@ const config = {
   }
 };
 
+// Monitored chats: loaded from the chats config file, or a single chat built
+// from TARGET_GROUP_NAME when no file exists. Missing per-chat settings fall
+// back to the global calendar/WhatsApp defaults above. An entry with
+// "private": true is the template for one-to-one chats with the secretary.
+function loadMonitoredChats() {
+  let chats = [{ name: config.whatsapp.targetGroupName }];
+
+  if (fs.existsSync(config.whatsapp.chatsConfigPath)) {
+    const parsed = JSON.parse(fs.readFileSync(config.whatsapp.chatsConfigPath, 'utf8'));
+    chats = Array.isArray(parsed) ? parsed : parsed.chats || [];
+  }
+
+  if (config.whatsapp.privateChats && !chats.some(chat => chat.private)) {
+    chats.push({ name: 'Private chats', private: true });
+  }
+
+  return chats.map(chat => ({
+    name: chat.name,
+    id: chat.id || null,
+    private: !!chat.private,
+    calendarId: chat.calendarId || config.calendar.calendarId,
+    timezone: chat.timezone || config.calendar.timezone,
+    defaultEventDuration: parseInt(chat.defaultEventDuration) || config.calendar.defaultEventDuration,
+    autoReply: chat.autoReply !== undefined ? chat.autoReply : config.whatsapp.autoReply,
+    replyMessage: chat.replyMessage || config.whatsapp.replyMessage,
+    icsAttachments: chat.icsAttachments || config.whatsapp.icsAttachments,
+    onRevoke: chat.onRevoke || config.whatsapp.onRevoke,
+    digest: featureSettings(chat.digest, config.digest),
+    weeklySummary: featureSettings(chat.weeklySummary, config.weeklySummary),
+    reminders: featureSettings(chat.reminders, config.reminders),
+    allowedSenders: chat.allowedSenders || [],
+    // Strangers are ignored silently unless the chat asks to tell them
+    notifyUnauthorized: chat.notifyUnauthorized === true
+  }));
+}
+
+// A chat's "digest", "weeklySummary" or "reminders" is true/false or its own settings,
+// e.g. { "time": "07:30" } or { "minutesBefore": 60 }
+function featureSettings(value, defaults) {
+  if (typeof value === 'boolean') {
+    return { ...defaults, enabled: value };
+  }
+
+  if (value && typeof value === 'object') {
+    return { ...defaults, enabled: true, ...value };
+  }
+
+  return { ...defaults };
+}
+
+config.chats = loadMonitoredChats();
+
 module.exports = config;
@@ -1,5 +1,18 @@
 const chalk = require('chalk');
 const moment = require('moment-timezone');
+const ReminderService = require('../services/reminder-service');
+const { noteEvents } = require('../utils/operation-context');
+const { isTransientError } = require('../utils/transient-error');
+
+// Raised when an event identifier matches more than one event
+class AmbiguousEventError extends Error {
+  constructor(identifier, candidates) {
+    super(`"${identifier}" matches ${candidates.length} events`);
+    this.name = 'AmbiguousEventError';
+    this.identifier = identifier;
+    this.candidates = candidates;
+  }
+}
 
 class CalendarMCPServer {
   constructor(calendarService) {
@@ -86,6 +99,10 @@ class CalendarMCPServer {
               description: {
                 type: "string",
                 description: "Event description (optional)"
+              },
+              reminder_minutes: {
+                type: "integer",
+                description: `Minutes before the start to send a WhatsApp reminder, only if the user asks for one (optional, 0 for none, at most ${ReminderService.MAX_REMINDER_MINUTES})`
               }
             },
             required: ["title", "start_time"]
@@ -108,7 +125,8 @@ class CalendarMCPServer {
                   start_time: { type: "string" },
                   end_time: { type: "string" },
                   location: { type: "string" },
-                  description: { type: "string" }
+                  description: { type: "string" },
+                  reminder_minutes: { type: "integer" }
                 },
                 description: "Fields to update"
               }
@@ -128,8 +146,8 @@ class CalendarMCPServer {
               },
               confirmation: {
                 type: "boolean",
-                description: "Confirmation that the event should be deleted",
-                default: true
+                description: "Set by the secretary once the deletion is allowed (user confirmed, or no confirmation required)",
+                default: false
               }
             },
             required: ["event_identifier"]
@@ -194,6 +212,27 @@ class CalendarMCPServer {
         }
       } catch (error) {
         console.log(chalk.red(`❌ MCP Tool error:`, error.message));
+        // Rate limits and outages fail the whole message, so the queue retries it
+        if (isTransientError(error)) {
+          throw error;
+        }
+        
+        if (error instanceof AmbiguousEventError) {
+          return {
+            content: [{
+              type: "text",
+              text: JSON.stringify({
+                success: false,
+                ambiguous: true,
+                message: error.message,
+                identifier: error.identifier,
+                candidates: error.candidates.map(event => this.toEventSummary(event))
+              }, null, 2)
+            }],
+            isError: true
+          };
+        }
+        
         return {
           content: [{
             type: "text",
@@ -227,6 +266,8 @@ class CalendarMCPServer {
       );
     }
     
+    noteEvents('queried', filteredEvents);
+    
     const eventList = filteredEvents.map(event => ({
       id: event.id,
       title: event.summary,
@@ -249,7 +290,7 @@ class CalendarMCPServer {
   }
 
   async handleCreateEvent(args) {
-    const { title, start_time, end_time, location, description } = args;
+    const { title, start_time, end_time, location, description, reminder_minutes } = args;
     
     console.log(chalk.green(`📅 Creating event: ${title}`));
     
@@ -259,6 +300,7 @@ class CalendarMCPServer {
       date: this.extractDate(start_time),
       time: this.extractTime(start_time),
       location,
+      reminderMinutes: reminder_minutes,
       description: description || `Created via WhatsApp: ${title}`,
       originalMessage: `Create event: ${title} at ${start_time}`,
       extractedBy: 'mcp'
@@ -272,7 +314,7 @@ class CalendarMCPServer {
         text: JSON.stringify({
           success: result.success,
           eventId: result.eventId,
-          message: result.success ? `Event created: ${title}` : `Failed: ${result.error}`,
+          message: result.duplicate ? `Already in the calendar: ${title}` : result.success ? `Event created: ${title}` : `Failed: ${result.error}`,
           htmlLink: result.htmlLink
         }, null, 2)
       }]
@@ -296,6 +338,9 @@ class CalendarMCPServer {
     if (updates.title) eventUpdates.summary = updates.title;
     if (updates.location) eventUpdates.location = updates.location;
     if (updates.description) eventUpdates.description = updates.description;
+    if (updates.reminder_minutes !== undefined) {
+      eventUpdates.extendedProperties = ReminderService.eventProperties(updates.reminder_minutes);
+    }
     
     if (updates.start_time) {
       eventUpdates.start = {
@@ -327,7 +372,7 @@ class CalendarMCPServer {
   }
 
   async handleDeleteEvent(args) {
-    const { event_identifier, confirmation = true } = args;
+    const { event_identifier, confirmation = false } = args;
     
     if (!confirmation) {
       throw new Error("Event deletion requires confirmation");
@@ -372,6 +417,8 @@ class CalendarMCPServer {
       )
       .slice(0, max_results);
     
+    noteEvents('queried', filteredEvents);
+    
     const searchResults = filteredEvents.map(event => ({
       id: event.id,
       title: event.summary,
@@ -461,6 +508,15 @@ class CalendarMCPServer {
     }
   }
 
+  toEventSummary(event) {
+    return {
+      id: event.id,
+      title: event.summary,
+      start: event.start?.dateTime || event.start?.date,
+      location: event.location
+    };
+  }
+
   async findEventByIdentifier(identifier) {
     // Try to find event by ID first
     try {
@@ -477,9 +533,20 @@ class CalendarMCPServer {
     const { startTime, endTime } = this.parseDateRange('this month');
     const events = await this.calendarService.getEvents(startTime, endTime);
     
-    return events.find(event => 
-      event.summary?.toLowerCase().includes(identifier.toLowerCase())
+    const search = identifier.toLowerCase();
+    const matches = events.filter(event => 
+      event.summary?.toLowerCase().includes(search)
     );
+    
+    // Prefer exact title matches, and ask which one when several remain
+    const exactMatches = matches.filter(event => event.summary.toLowerCase() === search);
+    const candidates = exactMatches.length > 0 ? exactMatches : matches;
+    
+    if (candidates.length > 1) {
+      throw new AmbiguousEventError(identifier, candidates);
+    }
+    
+    return candidates[0];
   }
 
   async connect() {
@@ -3,13 +3,41 @@ const fs = require('fs');
 const moment = require('moment-timezone');
 const chalk = require('chalk');
 const config = require('../config');
+const { RESTORABLE_FIELDS } = require('./operation-journal');
+const ReminderService = require('./reminder-service');
+const { noteEvents } = require('../utils/operation-context');
+const { isTransientError } = require('../utils/transient-error');
 
 class CalendarService {
-  constructor() {
+  constructor(options = {}) {
     this.calendar = google.calendar('v3');
     this.auth = null;
-    this.timezone = config.calendar.timezone;
-    this.defaultDuration = config.calendar.defaultEventDuration;
+    this.calendarId = options.calendarId || config.calendar.calendarId;
+    this.timezone = options.timezone || config.calendar.timezone;
+    this.defaultDuration = options.defaultEventDuration || config.calendar.defaultEventDuration;
+    
+    // Operation journal for undo; changes are not recorded without one
+    this.journal = options.journal || null;
+    
+    // Fingerprints of recently created events, to skip duplicates
+    this.idempotency = options.idempotency || null;
+  }
+
+  // Create a calendar service bound to a chat's calendar, timezone and
+  // default duration. Authentication and the API client are shared with
+  // this instance.
+  forChat(chatSettings) {
+    const scoped = new this.constructor({
+      calendarId: chatSettings.calendarId,
+      timezone: chatSettings.timezone,
+      defaultEventDuration: chatSettings.defaultEventDuration,
+      journal: this.journal,
+      idempotency: this.idempotency
+    });
+    scoped.auth = this.auth;
+    scoped.calendar = this.calendar;
+
+    return scoped;
   }
 
   async initialize() {
@@ -63,6 +91,12 @@ class CalendarService {
     }
   }
 
+  // Whether the credentials still work, for health checks: one quiet API
+  // call that throws when access was revoked or the token expired
+  async checkAccess() {
+    await this.calendar.calendarList.list({ maxResults: 1 });
+  }
+
   async testConnection() {
     try {
       const response = await this.calendar.calendarList.list();
@@ -85,11 +119,11 @@ class CalendarService {
       
       // Find the target calendar
       const targetCalendar = calendars.find(cal => 
-        cal.id === config.calendar.calendarId || cal.primary
+        cal.id === this.calendarId || cal.primary
       );
       
       if (!targetCalendar) {
-        throw new Error(`Calendar "${config.calendar.calendarId}" not found`);
+        throw new Error(`Calendar "${this.calendarId}" not found`);
       }
       
       console.log(chalk.green(`🎯 Using calendar: ${targetCalendar.summary}`));
@@ -138,18 +172,38 @@ class CalendarService {
     });
   }
 
-  async createEvent(eventInfo) {
+  // Pass { record: false } to keep the change out of the undo journal
+  async createEvent(eventInfo, options = {}) {
     try {
       console.log(chalk.blue('📅 Creating calendar event...'));
       
+      // The same title at the same time was just created: return that event
+      const fingerprint = this.idempotency ? `${this.calendarId}:${this.generateEventKey(eventInfo)}` : null;
+      const existingId = fingerprint && await this.findRecentDuplicate(fingerprint);
+      if (existingId) {
+        console.log(chalk.yellow(`⚠️  Duplicate event skipped: ${eventInfo.title}`));
+        noteEvents('duplicates', [existingId]);
+        
+        return {
+          success: true,
+          duplicate: true,
+          eventId: existingId
+        };
+      }
+      
       const eventData = this.buildEventData(eventInfo);
       
       const response = await this.calendar.events.insert({
-        calendarId: config.calendar.calendarId,
+        calendarId: this.calendarId,
         resource: eventData,
       });
 
       const event = response.data;
+      this.recordOperation('create', event.id, null, event, options);
+      noteEvents('created', [event]);
+      if (fingerprint) {
+        this.idempotency.rememberEvent(fingerprint, event.id);
+      }
       console.log(chalk.green('✅ Event created successfully'));
       console.log(chalk.gray(`🔗 Event link: ${event.htmlLink}`));
       
@@ -162,6 +216,10 @@ class CalendarService {
       
     } catch (error) {
       console.log(chalk.red('❌ Failed to create event:'), error.message);
+      // Rate limits and outages go up to the message queue, which retries the message
+      if (isTransientError(error)) {
+        throw error;
+      }
       
       return {
         success: false,
@@ -170,6 +228,29 @@ class CalendarService {
     }
   }
 
+  // ID of the event recently created with this fingerprint, as long as it
+  // is still in the calendar (it may have been deleted in the meantime)
+  async findRecentDuplicate(fingerprint) {
+    const eventId = this.idempotency.findEvent(fingerprint);
+    if (!eventId) {
+      return null;
+    }
+    
+    try {
+      const event = await this.getEvent(eventId);
+      if (event.status !== 'cancelled') {
+        return eventId;
+      }
+    } catch (error) {
+      if (![404, 410].includes(error.code)) {
+        throw error;
+      }
+    }
+    
+    this.idempotency.forgetEvent(eventId);
+    return null;
+  }
+
   buildEventData(eventInfo) {
     const { startDateTime, endDateTime } = this.parseDateTime(eventInfo);
     
@@ -191,6 +272,11 @@ class CalendarService {
       eventData.location = eventInfo.location;
     }
 
+    // Own WhatsApp reminder time ("remind me 2 hours before")
+    if (eventInfo.reminderMinutes !== undefined && eventInfo.reminderMinutes !== null) {
+      eventData.extendedProperties = ReminderService.eventProperties(eventInfo.reminderMinutes);
+    }
+
     // Add source information
     eventData.source = {
       title: 'WhatsApp Secretary',
@@ -208,10 +294,10 @@ class CalendarService {
     if (eventInfo.startDateTime) {
       console.log(chalk.blue('📅 Using ISO datetime from GPT-4:'));
       console.log(chalk.gray(`  Start: ${eventInfo.startDateTime}`));
-      console.log(chalk.gray(`  End: ${eventInfo.endDateTime || 'Auto +1 hour'}`));
+      console.log(chalk.gray(`  End: ${eventInfo.endDateTime || `Auto +${this.defaultDuration} minutes`}`));
       
       const startDateTime = eventInfo.startDateTime;
-      const endDateTime = eventInfo.endDateTime || this.addOneHour(eventInfo.startDateTime);
+      const endDateTime = eventInfo.endDateTime || this.addDefaultDuration(eventInfo.startDateTime);
       
       return {
         startDateTime: startDateTime,
@@ -304,21 +390,26 @@ class CalendarService {
   generateEventKey(eventInfo) {
     // Create a unique key for duplicate detection
     const { startDateTime } = this.parseDateTime(eventInfo);
-    const dateKey = moment(startDateTime).format('YYYY-MM-DD-HH-mm');
+    const dateKey = moment.utc(startDateTime).format('YYYY-MM-DD-HH-mm');
     const titleKey = eventInfo.title.toLowerCase().replace(/\s+/g, '');
     
     return `${titleKey}-${dateKey}`;
   }
 
-  async getEvents(startTime, endTime) {
+  // options.quiet skips the request/response logging (for background polling)
+  async getEvents(startTime, endTime, options = {}) {
+    const verbose = !options.quiet;
+    
     try {
-      console.log(chalk.blue('📅 Google Calendar API Request:'));
-      console.log(chalk.gray(`  Calendar ID: ${config.calendar.calendarId}`));
-      console.log(chalk.gray(`  Time Range: ${startTime} → ${endTime}`));
-      console.log(chalk.gray(`  Timezone: ${config.calendar.timezone}`));
+      if (verbose) {
+        console.log(chalk.blue('📅 Google Calendar API Request:'));
+        console.log(chalk.gray(`  Calendar ID: ${this.calendarId}`));
+        console.log(chalk.gray(`  Time Range: ${startTime} → ${endTime}`));
+        console.log(chalk.gray(`  Timezone: ${this.timezone}`));
+      }
       
       const response = await this.calendar.events.list({
-        calendarId: config.calendar.calendarId,
+        calendarId: this.calendarId,
         timeMin: startTime,
         timeMax: endTime,
         singleEvents: true,
@@ -327,6 +418,10 @@ class CalendarService {
 
       const events = response.data.items || [];
       
+      if (!verbose) {
+        return events;
+      }
+      
       console.log(chalk.blue('📋 Google Calendar API Response:'));
       console.log(chalk.gray(`  Total events found: ${events.length}`));
       
@@ -344,7 +439,7 @@ class CalendarService {
         console.log(chalk.yellow('    1. Check if your calendar has events for tomorrow'));
         console.log(chalk.yellow('    2. Verify calendar ID is correct'));
         console.log(chalk.yellow('    3. Check timezone conversion'));
-        console.log(chalk.yellow(`    4. Current calendar: ${config.calendar.calendarId}`));
+        console.log(chalk.yellow(`    4. Current calendar: ${this.calendarId}`));
       }
       
       return events;
@@ -361,13 +456,85 @@ class CalendarService {
     }
   }
 
-  async updateEvent(eventId, updates) {
+  async getEvent(eventId) {
+    const response = await this.calendar.events.get({
+      calendarId: this.calendarId,
+      eventId: eventId,
+    });
+
+    return response.data;
+  }
+
+  // Find an event imported from an .ics file by the file's UID
+  async findEventByICalUID(iCalUID) {
+    const response = await this.calendar.events.list({
+      calendarId: this.calendarId,
+      iCalUID: iCalUID,
+      showDeleted: false,
+    });
+
+    return response.data.items?.[0] || null;
+  }
+
+  // Import an event from an .ics file, keeping its iCalUID so the invite
+  // can be recognized later
+  async importEvent(resource, options = {}) {
+    try {
+      console.log(chalk.blue(`📥 Importing calendar event "${resource.summary}"...`));
+      
+      let response;
+      try {
+        response = await this.calendar.events.import({
+          calendarId: this.calendarId,
+          resource: resource,
+        });
+      } catch (error) {
+        if (!resource.attendees || error.code !== 403) {
+          throw error;
+        }
+        
+        // Service accounts may not add attendees; keep them in the description instead
+        const { attendees, ...withoutAttendees } = resource;
+        const attendeeList = `Attendees: ${attendees.map(attendee => attendee.displayName || attendee.email).join(', ')}`;
+        withoutAttendees.description = [resource.description, attendeeList].filter(Boolean).join('\n\n');
+        
+        response = await this.calendar.events.import({
+          calendarId: this.calendarId,
+          resource: withoutAttendees,
+        });
+      }
+
+      const event = response.data;
+      this.recordOperation('create', event.id, null, event, options);
+      console.log(chalk.green('✅ Event imported successfully'));
+      
+      return {
+        success: true,
+        eventId: event.id,
+        htmlLink: event.htmlLink,
+        event: event
+      };
+      
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to import event:'), error.message);
+      if (isTransientError(error)) {
+        throw error;
+      }
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async updateEvent(eventId, updates, options = {}) {
     try {
       console.log(chalk.blue('📝 Updating calendar event...'));
       
       // First get the existing event
       const existingEvent = await this.calendar.events.get({
-        calendarId: config.calendar.calendarId,
+        calendarId: this.calendarId,
         eventId: eventId,
       });
 
@@ -376,13 +543,23 @@ class CalendarService {
         ...existingEvent.data,
         ...updates
       };
+      
+      // Private extended properties (e.g. the reminder time) are merged, not replaced
+      if (updates.extendedProperties?.private) {
+        updatedEvent.extendedProperties = {
+          ...existingEvent.data.extendedProperties,
+          private: { ...existingEvent.data.extendedProperties?.private, ...updates.extendedProperties.private }
+        };
+      }
 
       const response = await this.calendar.events.update({
-        calendarId: config.calendar.calendarId,
+        calendarId: this.calendarId,
         eventId: eventId,
         resource: updatedEvent,
       });
 
+      this.recordOperation('update', eventId, existingEvent.data, response.data, options);
+      noteEvents('changed', [response.data]);
       console.log(chalk.green('✅ Event updated successfully'));
       
       return {
@@ -392,6 +569,9 @@ class CalendarService {
       
     } catch (error) {
       console.log(chalk.red('❌ Failed to update event:'), error.message);
+      if (isTransientError(error)) {
+        throw error;
+      }
       
       return {
         success: false,
@@ -400,15 +580,22 @@ class CalendarService {
     }
   }
 
-  async deleteEvent(eventId) {
+  async deleteEvent(eventId, options = {}) {
     try {
       console.log(chalk.blue('🗑️  Deleting calendar event...'));
       
+      // Keep the event so the deletion can be undone
+      const existingEvent = this.shouldRecord(options) ? await this.getEvent(eventId) : null;
+      
       await this.calendar.events.delete({
-        calendarId: config.calendar.calendarId,
+        calendarId: this.calendarId,
         eventId: eventId,
       });
 
+      this.recordOperation('delete', eventId, existingEvent, null, options);
+      this.idempotency?.forgetEvent(eventId);
+      noteEvents('changed', [{ id: eventId }]);
+
       console.log(chalk.green('✅ Event deleted successfully'));
       
       return {
@@ -417,6 +604,9 @@ class CalendarService {
       
     } catch (error) {
       console.log(chalk.red('❌ Failed to delete event:'), error.message);
+      if (isTransientError(error)) {
+        throw error;
+      }
       
       return {
         success: false,
@@ -425,12 +615,85 @@ class CalendarService {
     }
   }
 
-  // Helper function to add one hour to ISO datetime
-  addOneHour(isoDateTime) {
-    const date = new Date(isoDateTime);
-    date.setHours(date.getHours() + 1);
-    // Preserve the original timezone format
-    return date.toISOString().replace('Z', '+03:00');
+  shouldRecord(options = {}) {
+    return !!this.journal && options.record !== false;
+  }
+
+  recordOperation(type, eventId, before, after, options = {}) {
+    if (this.shouldRecord(options)) {
+      this.journal.record(type, this.calendarId, eventId, before, after);
+    }
+  }
+
+  // Revert a journaled operation: remove a created event, restore the
+  // previous state of an updated one, or bring back a deleted one.
+  async revertOperation(entry) {
+    const calendarId = entry.calendarId || this.calendarId;
+    
+    try {
+      switch (entry.type) {
+        case 'create':
+          this.idempotency?.forgetEvent(entry.eventId);
+          await this.calendar.events.delete({ calendarId, eventId: entry.eventId });
+          break;
+          
+        case 'update':
+          await this.restoreEvent(calendarId, entry.eventId, entry.before);
+          break;
+          
+        case 'delete':
+          try {
+            // Deleted events are kept as cancelled for a while, so the same event can come back
+            await this.restoreEvent(calendarId, entry.eventId, { ...entry.before, status: 'confirmed' });
+          } catch (error) {
+            const response = await this.calendar.events.insert({ calendarId, resource: entry.before });
+            entry.restoredEventId = response.data.id;
+          }
+          break;
+          
+        default:
+          throw new Error(`Unknown operation type: ${entry.type}`);
+      }
+      
+      console.log(chalk.green(`↩️  Reverted ${entry.type} of "${(entry.before || entry.after)?.summary}"`));
+      return { success: true };
+      
+    } catch (error) {
+      // A created event that is already gone needs no undo
+      if (entry.type === 'create' && [404, 410].includes(error.code)) {
+        return { success: true };
+      }
+      
+      console.log(chalk.red('❌ Failed to revert operation:'), error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Put the restorable fields of an event back to a snapshot. Fields the
+  // snapshot does not have are cleared.
+  async restoreEvent(calendarId, eventId, snapshot) {
+    const current = await this.calendar.events.get({ calendarId, eventId });
+    const resource = { ...current.data };
+    
+    RESTORABLE_FIELDS.forEach(field => {
+      if (snapshot[field] === undefined) {
+        delete resource[field];
+      } else {
+        resource[field] = snapshot[field];
+      }
+    });
+    
+    if (snapshot.status) {
+      resource.status = snapshot.status;
+    }
+    
+    await this.calendar.events.update({ calendarId, eventId, resource });
+  }
+
+  // Helper function to add the default event duration to an ISO datetime
+  addDefaultDuration(isoDateTime) {
+    // Preserve the original timezone offset
+    return moment.parseZone(isoDateTime).add(this.defaultDuration, 'minutes').format();
   }
 }
 
@@ -0,0 +1,59 @@
+const chalk = require('chalk');
+const config = require('../config');
+const { normalizeSenderId } = require('./permissions');
+
+class ChatRegistry {
+  constructor(chats = config.chats) {
+    this.chats = chats.filter(settings => !settings.private);
+    this.privateTemplate = chats.find(settings => settings.private) || null;
+
+    if (this.chats.length === 0 && !this.privateTemplate) {
+      console.log(chalk.yellow('⚠️  No monitored chats configured'));
+    }
+  }
+
+  // Find the settings for a WhatsApp chat. Groups match by chat ID first and
+  // fall back to the chat name; private chats use the private chat template.
+  resolve(chat) {
+    if (!chat.isGroup) {
+      return this.resolvePrivate(chat);
+    }
+
+    const chatId = chat.id?._serialized;
+
+    return this.chats.find(settings => settings.id && settings.id === chatId) ||
+           this.chats.find(settings => !settings.id && settings.name === chat.name) ||
+           null;
+  }
+
+  // Settings for a one-to-one chat. An allowlist entry may carry its own
+  // calendarId/timezone so each person gets a personal calendar channel.
+  resolvePrivate(chat) {
+    if (!this.privateTemplate) {
+      return null;
+    }
+
+    const user = normalizeSenderId(chat.id?.user);
+    const sender = (this.privateTemplate.allowedSenders || []).find(entry =>
+      normalizeSenderId(entry.id) === user
+    ) || {};
+
+    return {
+      ...this.privateTemplate,
+      id: chat.id?._serialized,
+      name: chat.name || chat.id?.user || 'Private chat',
+      calendarId: sender.calendarId || this.privateTemplate.calendarId,
+      timezone: sender.timezone || this.privateTemplate.timezone
+    };
+  }
+
+  privateChatsEnabled() {
+    return !!this.privateTemplate;
+  }
+
+  list() {
+    return this.chats;
+  }
+}
+
+module.exports = ChatRegistry;
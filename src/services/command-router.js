@@ -0,0 +1,74 @@
+const chalk = require('chalk');
+const JsonStore = require('../utils/json-store');
+const { ROLES } = require('./permissions');
+
+// Slash commands answered without the LLM, with the role each one needs
+const COMMANDS = {
+  help: { description: 'this list of commands' },
+  stats: { description: 'message and event statistics' },
+  next: { description: 'the next event', role: ROLES.QUERY },
+  today: { description: "today's agenda", role: ROLES.QUERY },
+  undo: { usage: '/undo [N]', description: 'undo the last (N) changes' },
+  pause: { description: 'stop handling messages in this chat', role: ROLES.EDIT },
+  resume: { description: 'handle messages in this chat again', role: ROLES.EDIT },
+  whoami: { description: 'your sender ID and roles' }
+};
+
+// Recognizes "/command args" messages and keeps which chats are paused with
+// /pause (persisted, so a restart does not resume them). Everything else is
+// free-form text for the LLM pipeline.
+class CommandRouter {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('commands.json', { paused: {} });
+    this.state = this.store.load();
+  }
+
+  // { name, args, known } for a slash command, or null for free-form text
+  parse(text) {
+    const match = (text || '').trim().match(/^\/([a-z]+)(?:\s+(.*))?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const name = match[1].toLowerCase();
+    return { name, args: (match[2] || '').trim(), known: !!COMMANDS[name] };
+  }
+
+  canRun(name, permissions) {
+    const role = COMMANDS[name]?.role;
+    return !role || permissions.can(role);
+  }
+
+  // Help text listing the commands the sender may use
+  help(permissions) {
+    const lines = Object.entries(COMMANDS)
+      .filter(([name]) => this.canRun(name, permissions))
+      .map(([name, command]) => `${command.usage || `/${name}`} - ${command.description}`);
+
+    return `Commands:\n${lines.join('\n')}\n\nAnything else is read as a normal message.`;
+  }
+
+  isPaused(chatKey) {
+    return !!this.state.paused[chatKey];
+  }
+
+  setPaused(chatKey, paused) {
+    if (paused) {
+      this.state.paused[chatKey] = new Date().toISOString();
+    } else {
+      delete this.state.paused[chatKey];
+    }
+    this.save();
+  }
+
+  save() {
+    try {
+      this.store.save(this.state);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save command state:'), error.message);
+    }
+  }
+}
+
+module.exports = CommandRouter;
+module.exports.COMMANDS = COMMANDS;
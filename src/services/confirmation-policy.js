@@ -0,0 +1,108 @@
+const config = require('../config');
+
+// Destructive operations that can require the user's confirmation
+const OPERATIONS = {
+  DELETE: 'delete',         // deleting a single event
+  BULK: 'bulk',             // deleting several events in one request
+  RESCHEDULE: 'reschedule', // changing an event's start or end time
+  CREATE: 'create',         // creating an event that was only proposed (e.g. read from a photo)
+  UPDATE: 'update'          // any other change, only confirmed along with one of the above
+};
+
+// Tools that only read the calendar and never wait for confirmation
+const READ_ONLY_TOOLS = ['list_calendar_events', 'search_calendar_events', 'ask_clarifying_question'];
+
+const YES_ANSWERS = ['yes', 'y', 'yep', 'yeah', 'ok', 'okay', 'confirm', 'proceed', 'go ahead', 'sure'];
+const NO_ANSWERS = ['no', 'n', 'nope', 'cancel', 'stop', 'abort', "don't"];
+
+class ConfirmationPolicy {
+  constructor(operations = config.confirmation.operations) {
+    this.operations = new Set(operations);
+  }
+
+  // What kind of destructive operation a tool call is, if any. Creations
+  // only count when the request asks for them to be confirmed.
+  classify(toolName, args = {}, options = {}) {
+    if (toolName === 'create_calendar_event' && options.confirmCreates) {
+      return OPERATIONS.CREATE;
+    }
+
+    if (toolName === 'delete_calendar_event') {
+      return OPERATIONS.DELETE;
+    }
+
+    if (toolName === 'update_calendar_event' && (args.updates?.start_time || args.updates?.end_time)) {
+      return OPERATIONS.RESCHEDULE;
+    }
+
+    return null;
+  }
+
+  // Whether a batch of tool calls ({ name, args }) must be confirmed first
+  requiresConfirmation(toolCalls, options = {}) {
+    const kinds = toolCalls.map(toolCall => this.classify(toolCall.name, toolCall.args, options)).filter(Boolean);
+    const deletes = kinds.filter(kind => kind === OPERATIONS.DELETE).length;
+
+    return (deletes > 1 && this.operations.has(OPERATIONS.BULK)) ||
+           (deletes === 1 && this.operations.has(OPERATIONS.DELETE)) ||
+           (kinds.includes(OPERATIONS.RESCHEDULE) && this.operations.has(OPERATIONS.RESCHEDULE)) ||
+           kinds.includes(OPERATIONS.CREATE);
+  }
+
+  // Whether a tool call changes the calendar (and so waits along with a
+  // batch that needs confirmation)
+  changesCalendar(toolName) {
+    return !READ_ONLY_TOOLS.includes(toolName);
+  }
+
+  isYes(text) {
+    return this.matches(text, YES_ANSWERS);
+  }
+
+  isNo(text) {
+    return this.matches(text, NO_ANSWERS);
+  }
+
+  // A message that is nothing but a yes/no answer
+  isBareAnswer(text) {
+    const answer = (text || '').toLowerCase().trim().replace(/[.!]+$/, '');
+    return YES_ANSWERS.includes(answer) || NO_ANSWERS.includes(answer);
+  }
+
+  matches(text, answers) {
+    const answer = (text || '').toLowerCase().trim().replace(/[.!]+$/, '');
+    return answers.some(word => answer === word || answer.startsWith(`${word} `) || answer.startsWith(`${word},`));
+  }
+
+  // Build the WhatsApp summary for operations described as
+  // { kind, title, when, newWhen }
+  formatSummary(operations) {
+    const deletes = operations.filter(op => op.kind === OPERATIONS.DELETE);
+    const creates = operations.filter(op => op.kind === OPERATIONS.CREATE);
+    const plural = (count) => `${count} event${count === 1 ? '' : 's'}`;
+    let header = 'I will make these changes:';
+    if (deletes.length === operations.length) {
+      header = `I will delete ${plural(deletes.length)}:`;
+    } else if (creates.length === operations.length) {
+      header = `I will add ${plural(creates.length)}:`;
+    }
+
+    const lines = operations.map(op => {
+      if (op.kind === OPERATIONS.RESCHEDULE) {
+        return `• 🕒 Move "${op.title}" (${op.when}) → ${op.newWhen}`;
+      }
+      if (op.kind === OPERATIONS.CREATE) {
+        return `• ➕ "${op.title}" (${op.when})`;
+      }
+      if (op.kind === OPERATIONS.UPDATE) {
+        return `• ✏️ Update "${op.title}" (${op.when})`;
+      }
+      return `• 🗑️ "${op.title}" (${op.when})`;
+    });
+
+    return `${header}\n${lines.join('\n')}\nReply YES (or react 👍) to proceed or NO (❌) to cancel (within ${config.confirmation.windowMinutes} min).`;
+  }
+}
+
+module.exports = ConfirmationPolicy;
+module.exports.OPERATIONS = OPERATIONS;
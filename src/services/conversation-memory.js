@@ -0,0 +1,50 @@
+const config = require('../config');
+
+// Bounded, expiring conversation history per chat. Each turn holds the
+// messages exchanged for one WhatsApp message (user text, tool calls and
+// tool results, final answer) so follow-ups can refer back to them.
+class ConversationMemory {
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns || config.conversation.maxTurns;
+    this.ttlMs = (options.ttlMinutes || config.conversation.ttlMinutes) * 60 * 1000;
+    this.turns = new Map();
+  }
+
+  getTurns(chatId) {
+    if (!chatId || !this.turns.has(chatId)) {
+      return [];
+    }
+
+    // Drop turns older than the TTL
+    const cutoff = Date.now() - this.ttlMs;
+    const turns = this.turns.get(chatId).filter(turn => turn.timestamp >= cutoff);
+
+    if (turns.length === 0) {
+      this.turns.delete(chatId);
+    } else {
+      this.turns.set(chatId, turns);
+    }
+
+    return turns;
+  }
+
+  getMessages(chatId) {
+    return this.getTurns(chatId).flatMap(turn => turn.messages);
+  }
+
+  addTurn(chatId, messages) {
+    if (!chatId || !messages || messages.length === 0) {
+      return;
+    }
+
+    const turns = this.getTurns(chatId);
+    turns.push({ timestamp: Date.now(), messages });
+    this.turns.set(chatId, turns.slice(-this.maxTurns));
+  }
+
+  clear(chatId) {
+    this.turns.delete(chatId);
+  }
+}
+
+module.exports = ConversationMemory;
@@ -0,0 +1,148 @@
+const moment = require('moment-timezone');
+const chalk = require('chalk');
+const JsonStore = require('../utils/json-store');
+
+// A digest is still posted this long after its scheduled time (e.g. when the
+// secretary was restarted just then), but not later
+const DIGEST_GRACE_MINUTES = 30;
+
+// Parts of the day the agenda is grouped by, each until the given hour
+const DAY_PARTS = [
+  { name: 'Morning', emoji: '🌅', untilHour: 12 },
+  { name: 'Afternoon', emoji: '☀️', untilHour: 17 },
+  { name: 'Evening', emoji: '🌙', untilHour: 24 }
+];
+
+// Daily agenda digest: when each chat's digest is due, the "pause digest" /
+// "resume digest" command, and the agenda text. Paused chats and the day each
+// chat last got its digest are persisted, so a restart neither repeats nor
+// resumes a paused digest.
+class DigestService {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('digest.json', { paused: {}, lastSent: {} });
+    this.state = this.store.load();
+  }
+
+  // 'pause', 'resume' or null if the text is not a digest command
+  parseCommand(text) {
+    const match = (text || '').trim().match(/^(pause|stop|resume|restart|start)\s+(?:the\s+)?(?:daily\s+)?(?:digest|agenda)[.!]?$/i);
+    if (!match) {
+      return null;
+    }
+
+    return ['pause', 'stop'].includes(match[1].toLowerCase()) ? 'pause' : 'resume';
+  }
+
+  isPaused(chatKey) {
+    return !!this.state.paused[chatKey];
+  }
+
+  setPaused(chatKey, paused) {
+    if (paused) {
+      this.state.paused[chatKey] = new Date().toISOString();
+    } else {
+      delete this.state.paused[chatKey];
+    }
+    this.save();
+  }
+
+  // Whether the chat's digest should be posted now: enabled, not paused, the
+  // scheduled time has passed (within the grace period) and not posted today
+  isDue(chatKey, settings, now = moment()) {
+    const digest = settings.digest;
+    if (!digest?.enabled || settings.private || this.isPaused(chatKey)) {
+      return false;
+    }
+
+    const local = now.clone().tz(settings.timezone);
+    const scheduled = this.scheduledTime(digest.time, local);
+    if (!scheduled || this.state.lastSent[chatKey] === local.format('YYYY-MM-DD')) {
+      return false;
+    }
+
+    const minutesLate = local.diff(scheduled, 'minutes', true);
+    return minutesLate >= 0 && minutesLate < DIGEST_GRACE_MINUTES;
+  }
+
+  // Today's occurrence of an "HH:mm" time, or null if the time is invalid
+  scheduledTime(time, local) {
+    const match = (time || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      return null;
+    }
+
+    return local.clone().set({ hour: parseInt(match[1]), minute: parseInt(match[2]), second: 0, millisecond: 0 });
+  }
+
+  markSent(chatKey, settings, now = moment()) {
+    this.state.lastSent[chatKey] = now.clone().tz(settings.timezone).format('YYYY-MM-DD');
+    this.save();
+  }
+
+  // The day the digest covers ("today" or "tomorrow" in the chat's timezone)
+  agendaDay(settings, now = moment()) {
+    const day = now.clone().tz(settings.timezone).startOf('day');
+    return settings.digest.day === 'today' ? day : day.add(1, 'day');
+  }
+
+  // Agenda text for the day's events, grouped by part of the day
+  format(events, day, timezone) {
+    const heading = day.format('dddd D MMMM');
+
+    if (events.length === 0) {
+      return `📅 Nothing on the calendar for ${heading}.`;
+    }
+
+    const allDay = events.filter(event => event.start?.date);
+    const timed = events.filter(event => event.start?.dateTime);
+    const sections = [`📅 Agenda for ${heading}:`];
+
+    if (allDay.length > 0) {
+      sections.push(['📌 All day', ...allDay.map(event => this.formatEvent(event, null))].join('\n'));
+    }
+
+    let fromHour = 0;
+    DAY_PARTS.forEach(part => {
+      const partEvents = timed.filter(event => {
+        // Events that began the day before are listed from midnight
+        const start = moment.max(moment(event.start.dateTime).tz(timezone), day);
+        return start.hour() >= fromHour && start.hour() < part.untilHour;
+      });
+      fromHour = part.untilHour;
+
+      if (partEvents.length > 0) {
+        sections.push([`${part.emoji} ${part.name}`, ...partEvents.map(event => this.formatEvent(event, timezone))].join('\n'));
+      }
+    });
+
+    return sections.join('\n\n');
+  }
+
+  formatEvent(event, timezone) {
+    let line = '• ';
+
+    if (timezone) {
+      const start = moment(event.start.dateTime).tz(timezone);
+      const end = event.end?.dateTime ? moment(event.end.dateTime).tz(timezone) : null;
+      line += `${start.format('HH:mm')}${end ? `–${end.format('HH:mm')}` : ''} `;
+    }
+
+    line += event.summary || 'No Title';
+
+    if (event.location) {
+      line += ` — 📍 ${event.location}`;
+    }
+
+    return line;
+  }
+
+  save() {
+    try {
+      this.store.save(this.state);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save digest state:'), error.message);
+    }
+  }
+}
+
+module.exports = DigestService;
@@ -1,15 +1,26 @@
 const OpenAI = require('openai');
 const chalk = require('chalk');
+const moment = require('moment-timezone');
 const config = require('../config');
 const debug = require('../utils/debug');
+const ConfirmationPolicy = require('./confirmation-policy');
+const { OPERATIONS } = ConfirmationPolicy;
+const ReminderService = require('./reminder-service');
+const { noteEvents } = require('../utils/operation-context');
+const { isTransientError } = require('../utils/transient-error');
 
 class GPT4MCPBridge {
-  constructor(calendarService) {
+  constructor(calendarService, options = {}) {
     this.calendarService = calendarService;
-    this.openai = null;
+    this.memory = options.memory || null;
+    this.confirmationPolicy = options.confirmationPolicy || new ConfirmationPolicy();
+    // An OpenAI client (or anything with chat.completions.create) may be passed in
+    this.openai = options.openai || null;
     this.toolDefinitions = null;
     
-    this.initializeOpenAI();
+    if (!this.openai) {
+      this.initializeOpenAI();
+    }
     this.setupToolDefinitions();
   }
 
@@ -25,7 +36,16 @@ class GPT4MCPBridge {
     console.log(chalk.green('✅ GPT-4 MCP Bridge initialized'));
   }
 
+  // Health check: throws when the OpenAI API can't be reached or the model
+  // is not available to this key
+  async checkConnection() {
+    await this.openai.models.retrieve(config.openai.model);
+  }
+
   setupToolDefinitions() {
+    const timezone = this.calendarService.timezone;
+    const offset = moment().tz(timezone).format('Z');
+
     this.toolDefinitions = [
       {
         type: "function",
@@ -66,11 +86,11 @@ class GPT4MCPBridge {
               },
               start_time: {
                 type: "string",
-                description: "Start date and time in ISO 8601 format like '2025-08-20T14:00:00+03:00'. Calculate from user's natural language. Include timezone for Israel: +03:00"
+                description: `Start date and time in ISO 8601 format like '2025-08-20T14:00:00${offset}'. Calculate from user's natural language. Include the ${timezone} offset: ${offset}`
               },
               end_time: {
                 type: "string",
-                description: "End date and time in ISO 8601 format like '2025-08-20T15:00:00+03:00'. If not specified, default to 1 hour after start_time"
+                description: `End date and time in ISO 8601 format like '2025-08-20T15:00:00${offset}'. If not specified, leave it out and the default duration (${this.calendarService.defaultDuration} minutes) is used`
               },
               location: {
                 type: "string",
@@ -79,6 +99,10 @@ class GPT4MCPBridge {
               description: {
                 type: "string",
                 description: "Event description or notes (optional)"
+              },
+              reminder_minutes: {
+                type: "integer",
+                description: "Only if the user asks for a reminder at a particular time: minutes before the start to send the WhatsApp reminder (e.g. 'remind me 2 hours before' → 120, 'no reminder' → 0). At most ${ReminderService.MAX_REMINDER_MINUTES} (one day)"
               }
             },
             required: ["title", "start_time"]
@@ -125,7 +149,8 @@ class GPT4MCPBridge {
                   start_time: { type: "string", description: "New start time in natural language" },
                   end_time: { type: "string", description: "New end time in natural language" },
                   location: { type: "string", description: "New location" },
-                  description: { type: "string", description: "New description" }
+                  description: { type: "string", description: "New description" },
+                  reminder_minutes: { type: "integer", description: `Minutes before the start to send the WhatsApp reminder (0 for none, at most ${ReminderService.MAX_REMINDER_MINUTES})` }
                 },
                 description: "Object containing the fields to update"
               }
@@ -158,6 +183,28 @@ class GPT4MCPBridge {
             required: ["query"]
           }
         }
+      },
+      {
+        type: "function",
+        function: {
+          name: "ask_clarifying_question",
+          description: "Ask the user a clarifying question when the request is ambiguous (e.g. several events match 'the meeting'). The workflow pauses until the user answers.",
+          parameters: {
+            type: "object",
+            properties: {
+              question: {
+                type: "string",
+                description: "The question to send to the user"
+              },
+              options: {
+                type: "array",
+                items: { type: "string" },
+                description: "Optional list of choices, e.g. the matching events with their dates and times"
+              }
+            },
+            required: ["question"]
+          }
+        }
       }
     ];
 
@@ -167,16 +214,34 @@ class GPT4MCPBridge {
     });
   }
 
-  async processMessage(messageText, senderName = 'User') {
+  // Only offer the tools the sender is allowed to use
+  getToolDefinitions(permissions = null) {
+    if (!permissions) {
+      return this.toolDefinitions;
+    }
+
+    return this.toolDefinitions.filter(tool => permissions.canUseTool(tool.function.name));
+  }
+
+  async processMessage(messageText, senderName = 'User', context = {}) {
+    const tools = this.getToolDefinitions(context.permissions);
+
     debug.logMessageFlow('GPT4-START', 'Starting GPT-4 MCP conversation', {
       messageText,
       senderName,
+      allowedTools: tools.map(t => t.function.name),
       maxIterations: config.openai.maxIterations
     });
 
-    // Get current Israel date/time for GPT-4 context
-    const israelToday = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Jerusalem' });
-    const israelTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Jerusalem', hour12: false });
+    // Get current date/time in the chat's timezone for GPT-4 context
+    const timezone = this.calendarService.timezone;
+    const now = moment().tz(timezone);
+    const localToday = now.format('YYYY-MM-DD');
+    const localTime = now.format('YYYY-MM-DD HH:mm:ss');
+    const offset = now.format('Z');
+
+    // Earlier turns in this chat, so follow-ups like "make it 4pm" resolve
+    const history = this.memory ? this.memory.getMessages(context.chatId) : [];
 
     const messages = [
       {
@@ -186,31 +251,64 @@ class GPT4MCPBridge {
 CRITICAL TOOL USAGE RULES:
 1. You MUST use the provided function tools to access calendar data
 2. NEVER make assumptions about what events exist - always search/list first
-3. For "move" or "reschedule": search/list → delete → create new event
+3. For "move" or "reschedule": search/list → update_calendar_event with the new start_time/end_time (never delete and re-create the event)
 4. For "delete" or "cancel": search/list → delete specific event
-5. For "clear schedule": list events → delete each individual event
+5. For "clear schedule": list events → delete each individual event (call delete for all of them in the same step so they can be approved together)
 6. Always use exact event IDs from search/list results for delete/update operations
-7. Be autonomous - execute complete workflows without asking for confirmation
+7. Be autonomous - execute complete workflows without asking for confirmation yourself. Deletes and reschedules that need the user's approval are confirmed by the system before they run
+8. If the request is ambiguous (several events match, or a required detail is missing), call ask_clarifying_question with the candidates instead of guessing
 
 FUNCTION CALLING REQUIREMENTS:
 - Use ONLY the provided function tools - never guess or assume data
 - Follow the exact parameter schemas defined for each function
-- For dates: Calculate actual YYYY-MM-DD dates based on Israel timezone
-- For times: Use ISO 8601 format with Israel timezone +03:00 (example: "2025-08-20T14:00:00+03:00")
-- IMPORTANT: Today is ${israelToday}, current time is ${israelTime} (Israel timezone)
+- For dates: Calculate actual YYYY-MM-DD dates based on the ${timezone} timezone
+- For times: Use ISO 8601 format with the ${timezone} offset ${offset} (example: "2025-08-20T14:00:00${offset}")
+- IMPORTANT: Today is ${localToday}, current time is ${localTime} (${timezone} timezone)
 - Always provide required parameters for each function call
 
-AVAILABLE TOOLS: list_calendar_events, create_calendar_event, delete_calendar_event, update_calendar_event, search_calendar_events
+CONVERSATION CONTEXT:
+- Earlier messages from this chat and their tool results (including event IDs you just created or found) come before the latest message
+- Resolve references like "it", "that meeting" or "the same place" using that context, and reuse those event IDs directly
+- If the latest message starts with a QUOTED MESSAGE, it is a reply to that message: "this" or "that" means the quoted message and the events listed with it
+
+AVAILABLE TOOLS: ${tools.map(t => t.function.name).join(', ')}
+If the request needs a tool that is not available, politely tell ${senderName} they don't have permission for it.
 
 Execute the user's request by calling the appropriate tools in the correct sequence.`
       },
+      ...history,
       {
         role: "user",
-        content: messageText
+        content: context.quotedText ? `${context.quotedText}\n\n${messageText}` : messageText
       }
     ];
+    const turnStart = messages.length - 1;
+
+    return await this.runConversation(messages, context, { turnStart, iteration: 0 });
+  }
+
+  // Continue a conversation that was paused by ask_clarifying_question
+  async resumeWithAnswer(pendingState, answerText, context = {}) {
+    const { messages, toolCallId } = pendingState;
+
+    debug.logMessageFlow('GPT4-RESUME', 'Resuming conversation with clarification answer', {
+      answerText,
+      iteration: pendingState.iteration
+    });
 
-    let iteration = 0;
+    messages.push({
+      role: "tool",
+      tool_call_id: toolCallId,
+      content: JSON.stringify({ success: true, answer: answerText })
+    });
+
+    return await this.runConversation(messages, context, pendingState);
+  }
+
+  async runConversation(messages, context, state) {
+    const tools = this.getToolDefinitions(context.permissions);
+    const { turnStart } = state;
+    let iteration = state.iteration;
     const maxIterations = config.openai.maxIterations;
 
     while (iteration < maxIterations) {
@@ -226,7 +324,7 @@ Execute the user's request by calling the appropriate tools in the correct seque
         const response = await this.openai.chat.completions.create({
           model: config.openai.model,
           messages: messages,
-          tools: this.toolDefinitions,
+          tools: tools,
           tool_choice: "auto",
           max_completion_tokens: config.openai.maxTokens,
           // temperature: config.openai.temperature
@@ -247,43 +345,72 @@ Execute the user's request by calling the appropriate tools in the correct seque
         if (assistantMessage.tool_calls && assistantMessage.tool_calls.length > 0) {
           debug.logMessageFlow('GPT4-TOOLS', `Executing ${assistantMessage.tool_calls.length} tool calls`);
 
-          for (const toolCall of assistantMessage.tool_calls) {
-            try {
-              const result = await this.executeToolCall(toolCall);
-              
-              // Add tool result to conversation
-              messages.push({
-                role: "tool",
-                tool_call_id: toolCall.id,
-                content: JSON.stringify(result)
-              });
-
-              debug.logToolExecution(
-                toolCall.function.name, 
-                JSON.parse(toolCall.function.arguments), 
-                result
-              );
-
-            } catch (error) {
-              // Add error result to conversation
-              const errorResult = {
-                success: false,
-                error: error.message
-              };
-
-              messages.push({
-                role: "tool", 
-                tool_call_id: toolCall.id,
-                content: JSON.stringify(errorResult)
-              });
-
-              debug.logToolExecution(
-                toolCall.function.name,
-                JSON.parse(toolCall.function.arguments),
-                null,
-                error
-              );
+          const plannedCalls = assistantMessage.tool_calls.map(toolCall => ({
+            name: toolCall.function.name,
+            args: JSON.parse(toolCall.function.arguments)
+          }));
+          const needsConfirmation = this.confirmationPolicy.requiresConfirmation(plannedCalls, context);
+
+          let clarification = null;
+          const deferred = [];
+
+          for (const [index, toolCall] of assistantMessage.tool_calls.entries()) {
+            // Questions are answered by the user, not executed
+            if (toolCall.function.name === 'ask_clarifying_question') {
+              clarification = { toolCall, args: plannedCalls[index].args };
+              continue;
+            }
+
+            // Destructive operations wait for the user's confirmation, and so do
+            // the other changes planned with them (e.g. the create of a delete +
+            // create move), so NO leaves the calendar as it was
+            if (needsConfirmation && this.confirmationPolicy.changesCalendar(plannedCalls[index].name)) {
+              deferred.push(toolCall);
+              continue;
             }
+
+            await this.runToolCall(toolCall, messages, context);
+          }
+
+          // A question comes first; anything awaiting confirmation is planned again after the answer
+          if (clarification) {
+            deferred.forEach(toolCall => messages.push({
+              role: "tool",
+              tool_call_id: toolCall.id,
+              content: JSON.stringify({ success: false, error: 'Not executed: waiting for the answer to the clarifying question' })
+            }));
+          } else if (deferred.length > 0) {
+            debug.logMessageFlow('GPT4-CONFIRM', `Waiting for confirmation of ${deferred.length} operation(s)`);
+
+            return {
+              success: true,
+              needsConfirmation: true,
+              response: this.confirmationPolicy.formatSummary(await this.describeOperations(deferred, context)),
+              iterations: iteration,
+              pendingState: {
+                messages,
+                deferredToolCalls: deferred,
+                turnStart,
+                iteration
+              }
+            };
+          }
+
+          if (clarification) {
+            debug.logMessageFlow('GPT4-CLARIFY', 'Pausing for a clarifying question', clarification.args);
+            
+            return {
+              success: true,
+              needsClarification: true,
+              response: this.formatQuestion(clarification.args),
+              iterations: iteration,
+              pendingState: {
+                messages,
+                toolCallId: clarification.toolCall.id,
+                turnStart,
+                iteration
+              }
+            };
           }
 
           // Continue loop - GPT-4 can analyze results and call more tools
@@ -293,6 +420,8 @@ Execute the user's request by calling the appropriate tools in the correct seque
           // No tool calls - GPT-4 has finished and provided final response
           debug.logMessageFlow('GPT4-COMPLETE', `Conversation completed after ${iteration} iterations`);
           
+          this.rememberTurn(context.chatId, messages.slice(turnStart));
+          
           return {
             success: true,
             response: assistantMessage.content || "Task completed successfully.",
@@ -303,6 +432,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
 
       } catch (error) {
         debug.logError('GPT4-API', error, { iteration, messageCount: messages.length });
+        if (isTransientError(error)) {
+          throw error;
+        }
         
         return {
           success: false,
@@ -322,12 +454,152 @@ Execute the user's request by calling the appropriate tools in the correct seque
     };
   }
 
-  async executeToolCall(toolCall) {
+  // Execute one tool call and add its result to the conversation
+  async runToolCall(toolCall, messages, context) {
+    try {
+      const result = await this.executeToolCall(toolCall, context);
+      
+      // Add tool result to conversation
+      messages.push({
+        role: "tool",
+        tool_call_id: toolCall.id,
+        content: JSON.stringify(result)
+      });
+
+      debug.logToolExecution(
+        toolCall.function.name, 
+        JSON.parse(toolCall.function.arguments), 
+        result
+      );
+
+    } catch (error) {
+      // Rate limits and outages fail the whole message, so the queue retries it
+      if (isTransientError(error)) {
+        throw error;
+      }
+
+      // Add error result to conversation
+      const errorResult = {
+        success: false,
+        error: error.message
+      };
+
+      messages.push({
+        role: "tool", 
+        tool_call_id: toolCall.id,
+        content: JSON.stringify(errorResult)
+      });
+
+      debug.logToolExecution(
+        toolCall.function.name,
+        JSON.parse(toolCall.function.arguments),
+        null,
+        error
+      );
+    }
+  }
+
+  // The user confirmed: run the deferred operations and let GPT-4 finish
+  async confirmPendingOperations(pendingState, context = {}) {
+    const { messages, deferredToolCalls } = pendingState;
+
+    debug.logMessageFlow('GPT4-CONFIRMED', `Executing ${deferredToolCalls.length} confirmed operation(s)`);
+
+    for (const toolCall of deferredToolCalls) {
+      await this.runToolCall(toolCall, messages, context);
+    }
+
+    return await this.runConversation(messages, context, pendingState);
+  }
+
+  cancelPendingOperations(pendingState) {
+    debug.logMessageFlow('GPT4-CANCELLED', `Cancelled ${pendingState.deferredToolCalls.length} operation(s)`);
+
+    return {
+      success: true,
+      cancelled: true,
+      response: 'Okay, cancelled - nothing was changed.',
+      iterations: pendingState.iteration
+    };
+  }
+
+  // Describe deferred operations for the confirmation summary
+  async describeOperations(toolCalls, context = {}) {
+    const timezone = this.calendarService.timezone;
+    const format = (dateTime) => moment(dateTime).tz(timezone).format('ddd D MMM HH:mm');
+
+    return await Promise.all(toolCalls.map(async (toolCall) => {
+      const args = JSON.parse(toolCall.function.arguments);
+      const kind = this.confirmationPolicy.classify(toolCall.function.name, args, { ...context, confirmCreates: true }) || OPERATIONS.UPDATE;
+
+      // Proposed events do not exist yet
+      if (kind === 'create') {
+        return { kind, title: args.title, when: format(args.start_time) };
+      }
+
+      let event = null;
+
+      try {
+        event = await this.calendarService.getEvent(args.event_id);
+      } catch (error) {
+        // Fall back to what GPT-4 told us about the event
+      }
+
+      const start = event?.start?.dateTime || event?.start?.date;
+
+      return {
+        kind,
+        title: event?.summary || args.event_title || args.event_id,
+        when: start ? format(start) : 'unknown time',
+        newWhen: args.updates?.start_time ? format(this.parseDateTime(args.updates.start_time)) : null
+      };
+    }));
+  }
+
+  formatQuestion({ question, options = [] }) {
+    if (options.length === 0) {
+      return question;
+    }
+
+    return `${question}\n${options.map((option, index) => `${index + 1}. ${option}`).join('\n')}`;
+  }
+
+  // Store a completed turn in the chat's conversation memory
+  rememberTurn(chatId, turnMessages) {
+    if (!this.memory) {
+      return;
+    }
+
+    // Keep only the fields the chat completions API accepts back
+    this.memory.addTurn(chatId, turnMessages.map(message => {
+      const { role, content, tool_calls, tool_call_id } = message;
+      return {
+        role,
+        content: content || null,
+        ...(tool_calls && tool_calls.length > 0 ? { tool_calls } : {}),
+        ...(tool_call_id ? { tool_call_id } : {})
+      };
+    }));
+  }
+
+  async executeToolCall(toolCall, context = {}) {
     const { name, arguments: argsString } = toolCall.function;
     const args = JSON.parse(argsString);
 
     debug.logMessageFlow('TOOL-EXECUTE', `Executing ${name}`, { args });
 
+    if (context.permissions && !context.permissions.canUseTool(name)) {
+      return {
+        success: false,
+        error: context.permissions.deniedMessage(name)
+      };
+    }
+
+    // Notes such as a photo's caption always go into created events
+    if (name === 'create_calendar_event' && context.eventNote) {
+      args.description = [args.description, context.eventNote].filter(Boolean).join('\n\n');
+    }
+
     switch (name) {
       case 'list_calendar_events':
         return await this.handleListEvents(args);
@@ -353,15 +625,16 @@ Execute the user's request by calling the appropriate tools in the correct seque
     const { start_date, end_date, search_query } = args;
     
     try {
-      // Convert YYYY-MM-DD to full day range in Israel timezone
-      const startTime = `${start_date}T00:00:00+03:00`;
-      const endTime = `${end_date}T23:59:59+03:00`;
+      // Convert YYYY-MM-DD to full day range in the calendar's timezone
+      const timezone = this.calendarService.timezone;
+      const startTime = moment.tz(start_date, timezone).startOf('day').format();
+      const endTime = moment.tz(end_date, timezone).endOf('day').format();
       
       debug.log('calendar-query', 'Google Calendar API Request', {
         originalArgs: args,
         parsedStartTime: startTime,
         parsedEndTime: endTime,
-        timezone: 'Asia/Jerusalem' // Use correct timezone
+        timezone: timezone
       });
       
       const events = await this.calendarService.getEvents(startTime, endTime);
@@ -397,6 +670,8 @@ Execute the user's request by calling the appropriate tools in the correct seque
         });
       }
       
+      noteEvents('queried', filteredEvents);
+      
       const eventList = filteredEvents.map(event => ({
         id: event.id,
         title: event.summary,
@@ -418,6 +693,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
       };
     } catch (error) {
       debug.logError('calendar-error', error, { args });
+      if (isTransientError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: error.message
@@ -426,15 +704,16 @@ Execute the user's request by calling the appropriate tools in the correct seque
   }
 
   async handleCreateEvent(args) {
-    const { title, start_time, end_time, location, description } = args;
+    const { title, start_time, end_time, location, description, reminder_minutes } = args;
     
     try {
       // GPT-4 should now provide ISO format, use directly
       const eventInfo = {
         title,
         startDateTime: start_time,
-        endDateTime: end_time || this.addOneHour(start_time),
+        endDateTime: end_time,
         location,
+        reminderMinutes: reminder_minutes,
         description: description || `Created from WhatsApp: ${title}`,
         originalMessage: `Create: ${title} at ${start_time}`,
         extractedBy: 'gpt4-mcp'
@@ -445,10 +724,13 @@ Execute the user's request by calling the appropriate tools in the correct seque
       return {
         success: result.success,
         eventId: result.eventId,
-        message: result.success ? `Created: ${title}` : `Failed: ${result.error}`,
+        message: result.duplicate ? `Already in the calendar: ${title}` : result.success ? `Created: ${title}` : `Failed: ${result.error}`,
         htmlLink: result.htmlLink
       };
     } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: error.message
@@ -468,6 +750,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
         eventId: event_id
       };
     } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: error.message
@@ -485,6 +770,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
       if (updates.title) calendarUpdates.summary = updates.title;
       if (updates.location) calendarUpdates.location = updates.location;
       if (updates.description) calendarUpdates.description = updates.description;
+      if (updates.reminder_minutes !== undefined) {
+        calendarUpdates.extendedProperties = ReminderService.eventProperties(updates.reminder_minutes);
+      }
       
       if (updates.start_time) {
         calendarUpdates.start = {
@@ -509,6 +797,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
         updates: updates
       };
     } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: error.message
@@ -531,6 +822,8 @@ Execute the user's request by calling the appropriate tools in the correct seque
         )
         .slice(0, max_results);
       
+      noteEvents('queried', filteredEvents);
+      
       const searchResults = filteredEvents.map(event => ({
         id: event.id,
         title: event.summary,
@@ -547,6 +840,9 @@ Execute the user's request by calling the appropriate tools in the correct seque
         events: searchResults
       };
     } catch (error) {
+      if (isTransientError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: error.message
@@ -556,8 +852,7 @@ Execute the user's request by calling the appropriate tools in the correct seque
 
   // Helper methods (reuse from calendar-server.js)
   parseDateTime(dateStr, endOfDay = false) {
-    const moment = require('moment-timezone');
-    const timezone = 'Asia/Jerusalem'; // Use config timezone
+    const timezone = this.calendarService.timezone;
     let parsed;
     
     debug.log('date-parsing', 'Parsing Date String', {
@@ -645,21 +940,18 @@ Execute the user's request by calling the appropriate tools in the correct seque
   }
 
   extractDate(dateTimeStr) {
-    const moment = require('moment-timezone');
     // Better date parsing for natural language
     const parsed = this.parseDateTime(dateTimeStr);
     return moment(parsed).format('YYYY-MM-DD');
   }
 
   extractTime(dateTimeStr) {
-    const moment = require('moment-timezone');
     // Better time parsing for natural language
     const parsed = this.parseDateTime(dateTimeStr);
     return moment(parsed).format('HH:mm A');
   }
 
   parseDateRange(rangeStr) {
-    const moment = require('moment-timezone');
     const now = moment().tz(this.calendarService.timezone);
     
     switch (rangeStr.toLowerCase()) {
@@ -696,14 +988,6 @@ Execute the user's request by calling the appropriate tools in the correct seque
     }
   }
 
-  // Helper function to add one hour to ISO datetime
-  addOneHour(isoDateTime) {
-    const date = new Date(isoDateTime);
-    date.setHours(date.getHours() + 1);
-    return date.toISOString().replace('Z', '+03:00');
-  }
-
-
 }
 
 module.exports = GPT4MCPBridge;
@@ -0,0 +1,112 @@
+const moment = require('moment-timezone');
+const chalk = require('chalk');
+const { parseICS, toGoogleEvent, unescapeText } = require('../utils/ics');
+const { isTransientError } = require('../utils/transient-error');
+
+// Imports the events of .ics invites forwarded into a chat
+class IcsImportService {
+  isCalendarFile(mimetype, filename) {
+    return (mimetype || '').startsWith('text/calendar') || /\.ics$/i.test(filename || '');
+  }
+
+  // Import every VEVENT of a file, skipping events already in the calendar.
+  // Returns the imported, skipped and failed events.
+  async importFile(calendarService, icsText) {
+    const { events, timezone } = parseICS(icsText);
+    const defaultTimezone = timezone && moment.tz.zone(timezone) ? timezone : calendarService.timezone;
+    const result = { imported: [], skipped: [], failed: [] };
+
+    console.log(chalk.blue(`📥 Found ${events.length} event(s) in calendar file`));
+
+    for (const vevent of events) {
+      const summary = vevent.SUMMARY ? unescapeText(vevent.SUMMARY[0].value) : 'Untitled event';
+
+      // Changed occurrences belong to a recurring event that is imported as a whole
+      if (vevent['RECURRENCE-ID']) {
+        result.skipped.push({ summary, reason: 'changed occurrence of a recurring event' });
+        continue;
+      }
+
+      try {
+        const resource = toGoogleEvent(vevent, defaultTimezone);
+
+        if (await this.findExisting(calendarService, resource)) {
+          result.skipped.push({ summary, resource, reason: 'already in the calendar' });
+          continue;
+        }
+
+        const imported = await calendarService.importEvent(resource);
+        if (imported.success) {
+          result.imported.push({ summary, resource, event: imported.event });
+        } else {
+          result.failed.push({ summary, error: imported.error });
+        }
+      } catch (error) {
+        if (isTransientError(error)) {
+          throw error;
+        }
+        result.failed.push({ summary, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  // An event exists if it was imported before (same UID) or was already
+  // added some other way with the same title and start
+  async findExisting(calendarService, resource) {
+    if (await calendarService.findEventByICalUID(resource.iCalUID)) {
+      return true;
+    }
+
+    const timezone = calendarService.timezone;
+    const start = resource.start.date
+      ? moment.tz(resource.start.date, timezone).startOf('day')
+      : moment(resource.start.dateTime);
+    const end = resource.start.date ? start.clone().endOf('day') : start.clone().add(1, 'minute');
+
+    const events = await calendarService.getEvents(start.toISOString(), end.toISOString());
+    const title = resource.summary.trim().toLowerCase();
+
+    return events.some(event => {
+      const sameTitle = (event.summary || '').trim().toLowerCase() === title;
+      const sameStart = resource.start.date
+        ? event.start?.date === resource.start.date
+        : moment(event.start?.dateTime).isSame(start);
+      return sameTitle && sameStart;
+    });
+  }
+
+  formatSummary(result, fileName, timezone) {
+    const lines = [];
+    const total = result.imported.length + result.skipped.length + result.failed.length;
+
+    if (total === 0) {
+      return `No events found in ${fileName || 'the calendar file'}.`;
+    }
+
+    lines.push(`📥 Imported ${result.imported.length} of ${total} event${total === 1 ? '' : 's'} from ${fileName || 'the calendar file'}`);
+
+    result.imported.forEach(item => {
+      lines.push(`• "${item.summary}" (${this.formatWhen(item.resource, timezone)}${item.resource.recurrence ? ', repeating' : ''})`);
+    });
+    result.skipped.forEach(item => {
+      lines.push(`⏭️ "${item.summary}" skipped: ${item.reason}`);
+    });
+    result.failed.forEach(item => {
+      lines.push(`⚠️ "${item.summary}" could not be imported: ${item.error}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  formatWhen(resource, timezone) {
+    if (resource.start.date) {
+      return `${moment(resource.start.date).format('ddd D MMM')}, all day`;
+    }
+
+    return moment(resource.start.dateTime).tz(timezone).format('ddd D MMM HH:mm');
+  }
+}
+
+module.exports = IcsImportService;
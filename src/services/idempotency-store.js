@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const config = require('../config');
+const JsonStore = require('../utils/json-store');
+
+// Persisted record of processed WhatsApp messages and of recently created
+// events (by title/time fingerprint), so neither a message that WhatsApp
+// delivers twice nor a replayed one creates the same event again.
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.messageRetentionMs = (options.messageRetentionHours || config.idempotency.messageRetentionHours) * 60 * 60 * 1000;
+    this.eventWindowMs = (options.eventWindowMinutes || config.processing.duplicateEventWindowMinutes) * 60 * 1000;
+    this.store = options.store || new JsonStore('idempotency.json', { messages: {}, events: {} });
+    this.data = this.store.load();
+    this.prune();
+  }
+
+  hasProcessed(key) {
+    return !!this.data.messages[key];
+  }
+
+  markProcessed(key) {
+    this.data.messages[key] = Date.now();
+    this.save();
+  }
+
+  // ID of an event created with the same fingerprint within the duplicate
+  // window. Callers check the event still exists (see CalendarService).
+  findEvent(fingerprint) {
+    const entry = this.data.events[fingerprint];
+
+    if (!entry || entry.createdAt + this.eventWindowMs < Date.now()) {
+      return null;
+    }
+
+    return entry.eventId;
+  }
+
+  rememberEvent(fingerprint, eventId) {
+    this.data.events[fingerprint] = { eventId, createdAt: Date.now() };
+    this.save();
+  }
+
+  // The event was deleted or undone: the same event may be created again
+  forgetEvent(eventId) {
+    const fingerprints = Object.keys(this.data.events).filter(fingerprint =>
+      this.data.events[fingerprint].eventId === eventId
+    );
+
+    if (fingerprints.length > 0) {
+      fingerprints.forEach(fingerprint => delete this.data.events[fingerprint]);
+      this.save();
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+
+    Object.entries(this.data.messages).forEach(([key, processedAt]) => {
+      if (processedAt + this.messageRetentionMs < now) {
+        delete this.data.messages[key];
+      }
+    });
+
+    Object.entries(this.data.events).forEach(([fingerprint, entry]) => {
+      if (entry.createdAt + this.eventWindowMs < now) {
+        delete this.data.events[fingerprint];
+      }
+    });
+  }
+
+  save() {
+    try {
+      this.prune();
+      this.store.save(this.data);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save idempotency store:'), error.message);
+    }
+  }
+
+  // Short stable hash, e.g. to tell apart several edits of one message
+  static hash(text) {
+    return crypto.createHash('sha1').update(text || '').digest('hex').slice(0, 12);
+  }
+}
+
+module.exports = IdempotencyStore;
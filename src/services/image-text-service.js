@@ -0,0 +1,119 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('openai');
+const chalk = require('chalk');
+const config = require('../config');
+
+const execFileAsync = promisify(execFile);
+
+// Answer the vision model gives for pictures that do not announce an event
+const NO_EVENT = 'NO_EVENT';
+
+// OCR with text shorter than this is treated as a regular photo
+const MIN_OCR_TEXT_LENGTH = 15;
+
+// Local tesseract OCR
+class TesseractBackend {
+  constructor(options) {
+    this.binary = options.tesseractBinary;
+    this.languages = options.tesseractLanguages;
+    this.timeout = options.timeout;
+  }
+
+  async extractText(image, mimetype) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secretary-image-'));
+    const extension = (mimetype || '').split('/')[1] || 'jpg';
+    const imagePath = path.join(workDir, `image.${extension}`);
+
+    try {
+      fs.writeFileSync(imagePath, image);
+
+      const { stdout } = await execFileAsync(this.binary, [imagePath, 'stdout', '-l', this.languages], {
+        timeout: this.timeout,
+        maxBuffer: 10 * 1024 * 1024
+      });
+
+      const text = stdout.trim();
+      return text.length >= MIN_OCR_TEXT_LENGTH ? text : null;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Vision-capable chat model behind an OpenAI-compatible endpoint
+class OpenAIVisionBackend {
+  constructor(options) {
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseUrl,
+      timeout: options.timeout
+    });
+    this.model = options.model;
+  }
+
+  async extractText(image, mimetype) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      temperature: 0,
+      max_tokens: 800,
+      messages: [{
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: `Read this image. If it is an invitation, school notice, flyer or anything else announcing an event, write out all of its text and then the event details (what, date, time, end time, location). If it does not announce an event, answer exactly ${NO_EVENT}.`
+          },
+          {
+            type: 'image_url',
+            image_url: { url: `data:${mimetype || 'image/jpeg'};base64,${image.toString('base64')}` }
+          }
+        ]
+      }]
+    });
+
+    const text = (response.choices[0]?.message?.content || '').trim();
+    return text && !text.includes(NO_EVENT) ? text : null;
+  }
+}
+
+const BACKENDS = {
+  'tesseract': TesseractBackend,
+  'openai': OpenAIVisionBackend
+};
+
+// Reads event details from photos of invitations and flyers. The backend is
+// chosen with IMAGE_BACKEND; "none" turns image handling off.
+class ImageTextService {
+  constructor(options = config.images) {
+    this.options = options;
+    this.backend = null;
+
+    const Backend = BACKENDS[options.backend];
+    if (Backend) {
+      this.backend = new Backend(options);
+    } else if (options.backend !== 'none') {
+      console.log(chalk.yellow(`⚠️  Unknown image backend "${options.backend}", images are ignored`));
+    }
+  }
+
+  isEnabled() {
+    return !!this.backend;
+  }
+
+  // Text of the image, or null when it does not look like an event
+  async extractText(image, mimetype) {
+    if (!this.backend) {
+      throw new Error('Image handling is disabled');
+    }
+
+    console.log(chalk.blue(`🖼️  Reading image with ${this.options.backend}...`));
+    return await this.backend.extractText(image, mimetype);
+  }
+}
+
+module.exports = ImageTextService;
+module.exports.BACKENDS = BACKENDS;
@@ -34,6 +34,17 @@ class LLMService {
     }
   }
 
+  // Quiet version of checkOllamaConnection() for health checks: throws
+  // unless Ollama answers and has the model
+  async checkConnection() {
+    const response = await axios.get(`${this.baseUrl}/api/tags`, { timeout: 5000 });
+    const models = response.data.models || [];
+    
+    if (!models.some(m => m.name === this.model)) {
+      throw new Error(`model "${this.model}" not found`);
+    }
+  }
+
   async extractEventInfo(messageText, senderName = 'Unknown') {
     const prompt = this.buildEventExtractionPrompt(messageText, senderName);
     
@@ -1,10 +1,15 @@
 const axios = require('axios');
 const chalk = require('chalk');
+const moment = require('moment-timezone');
 const config = require('../config');
 const debug = require('../utils/debug');
+const ConfirmationPolicy = require('./confirmation-policy');
+const { isTransientError } = require('../utils/transient-error');
 
 class MCPLLMService {
-  constructor() {
+  constructor(options = {}) {
+    this.memory = options.memory || null;
+    this.confirmationPolicy = options.confirmationPolicy || new ConfirmationPolicy();
     this.baseUrl = config.llm.baseUrl;
     this.model = config.llm.model;
     this.timeout = config.llm.timeout;
@@ -17,7 +22,7 @@ class MCPLLMService {
     console.log(chalk.green('🔗 MCP Server connected to LLM Service'));
   }
 
-  async processEventMessage(messageText, senderName) {
+  async processEventMessage(messageText, senderName, context = {}) {
     debug.logMessageFlow('START', 'Processing WhatsApp message', {
       messageText,
       senderName,
@@ -35,7 +40,10 @@ class MCPLLMService {
       method: 'tools/list'
     });
     
-    const tools = toolsResponse.tools;
+    // Only offer the tools the sender is allowed to use
+    const tools = toolsResponse.tools.filter(tool =>
+      !context.permissions || context.permissions.canUseTool(tool.name)
+    );
     debug.log('tools-available', 'MCP Tools Discovery', {
       toolCount: tools.length,
       toolNames: tools.map(t => t.name),
@@ -48,7 +56,8 @@ class MCPLLMService {
 
     // Create enhanced prompt with tool context
     debug.logMessageFlow('PROMPT', 'Building LLM prompt with tool context');
-    const prompt = this.buildMCPPrompt(messageText, senderName, tools);
+    const history = this.buildHistoryText(context.chatId);
+    const prompt = this.buildMCPPrompt(messageText, senderName, tools, history, context.quotedText);
     debug.logLLMPrompt(prompt, { messageText, senderName, toolCount: tools.length });
     
     // Get LLM response with tool calling capability
@@ -62,46 +71,350 @@ class MCPLLMService {
     
     // Execute any tool calls
     if (response.toolCalls && response.toolCalls.length > 0) {
-      debug.logMessageFlow('EXECUTE', `Executing ${response.toolCalls.length} tool calls`);
+      const result = await this.runToolCalls(messageText, senderName, response.intent, response.toolCalls, context);
+      result.rawResponse = response.text;
+      return result;
+    } else {
+      return {
+        processed: false,
+        intent: response.intent || 'unknown',
+        message: response.text,
+        reason: 'No tool calls generated'
+      };
+    }
+  }
+
+  async runToolCalls(messageText, senderName, intent, toolCalls, context = {}) {
+    debug.logMessageFlow('EXECUTE', `Executing ${toolCalls.length} tool calls`);
+    
+    const toolResults = [];
+    for (let i = 0; i < toolCalls.length; i++) {
+      let toolCall = toolCalls[i];
+      const operation = this.confirmationPolicy.classify(toolCall.name, toolCall.arguments, context);
       
-      const toolResults = [];
-      for (let i = 0; i < response.toolCalls.length; i++) {
-        const toolCall = response.toolCalls[i];
-        debug.logMessageFlow('TOOL', `Executing tool ${i + 1}/${response.toolCalls.length}: ${toolCall.name}`);
+      // Destructive operations wait for the user's confirmation
+      if (operation && !context.confirmed) {
+        const remaining = toolCalls.slice(i);
+        const planned = remaining.map(call => ({ name: call.name, args: call.arguments }));
         
-        try {
-          const result = await this.executeTool(toolCall);
-          toolResults.push(result);
-          debug.logToolExecution(toolCall.name, toolCall.arguments, result);
-        } catch (error) {
-          debug.logToolExecution(toolCall.name, toolCall.arguments, null, error);
-          toolResults.push({ error: error.message });
+        if (this.confirmationPolicy.requiresConfirmation(planned, context)) {
+          return await this.requestConfirmation(messageText, senderName, intent, remaining, context);
         }
       }
       
+      // The secretary, not the model, decides whether a delete is confirmed
+      if (toolCall.name === 'delete_calendar_event') {
+        toolCall = { ...toolCall, arguments: { ...toolCall.arguments, confirmation: true } };
+      }
+      
+      debug.logMessageFlow('TOOL', `Executing tool ${i + 1}/${toolCalls.length}: ${toolCall.name}`);
+      
+      try {
+        const result = await this.executeTool(toolCall, context);
+        toolResults.push(result);
+        debug.logToolExecution(toolCall.name, toolCall.arguments, result);
+        
+        // Several events matched: pause and ask which one was meant
+        const ambiguity = this.parseAmbiguity(result);
+        if (ambiguity) {
+          debug.logMessageFlow('CLARIFY', `Pausing for a clarifying question about "${ambiguity.identifier}"`);
+          
+          return {
+            processed: true,
+            needsClarification: true,
+            intent: intent,
+            message: this.formatClarification(ambiguity),
+            pendingState: {
+              messageText,
+              senderName,
+              intent,
+              toolCalls: toolCalls.slice(i),
+              identifier: ambiguity.identifier,
+              candidates: ambiguity.candidates
+            }
+          };
+        }
+      } catch (error) {
+        debug.logToolExecution(toolCall.name, toolCall.arguments, null, error);
+        if (isTransientError(error)) {
+          throw error;
+        }
+        toolResults.push({ error: error.message });
+      }
+    }
+    
+    const message = this.formatResponse(intent, toolResults);
+    this.rememberTurn(context.chatId, senderName, messageText, toolCalls, toolResults, message);
+    
+    return {
+      processed: true,
+      intent: intent,
+      toolCalls: toolCalls,
+      toolResults: toolResults,
+      message: message
+    };
+  }
+
+  // Resolve the events the destructive calls refer to and summarize them for
+  // the user. The stored calls use exact event IDs so exactly the summarized
+  // events are changed once confirmed.
+  async requestConfirmation(messageText, senderName, intent, toolCalls, context) {
+    const timezone = this.mcpServer.calendarService.timezone;
+    const resolvedCalls = [];
+    const operations = [];
+    
+    for (const toolCall of toolCalls) {
+      const kind = this.confirmationPolicy.classify(toolCall.name, toolCall.arguments, context);
+      if (!kind) {
+        resolvedCalls.push(toolCall);
+        continue;
+      }
+      
+      // Proposed events do not exist yet
+      if (kind === 'create') {
+        resolvedCalls.push(toolCall);
+        operations.push({
+          kind,
+          title: toolCall.arguments.title,
+          when: moment(this.mcpServer.parseDateTime(toolCall.arguments.start_time)).tz(timezone).format('ddd D MMM HH:mm')
+        });
+        continue;
+      }
+      
+      let event;
+      try {
+        event = await this.mcpServer.findEventByIdentifier(toolCall.arguments.event_identifier);
+      } catch (error) {
+        if (error.name !== 'AmbiguousEventError') {
+          throw error;
+        }
+        
+        // Ask which event was meant first; confirmation follows the answer
+        const ambiguity = {
+          identifier: error.identifier,
+          candidates: error.candidates.map(candidate => this.mcpServer.toEventSummary(candidate))
+        };
+        
+        return {
+          processed: true,
+          needsClarification: true,
+          intent: intent,
+          message: this.formatClarification(ambiguity),
+          pendingState: { messageText, senderName, intent, toolCalls, ...ambiguity }
+        };
+      }
+      
+      if (!event) {
+        // Nothing to confirm; the call will report that the event was not found
+        resolvedCalls.push(toolCall);
+        continue;
+      }
+      
+      resolvedCalls.push({ ...toolCall, arguments: { ...toolCall.arguments, event_identifier: event.id } });
+      
+      const newStart = toolCall.arguments.updates?.start_time;
+      operations.push({
+        kind,
+        title: event.summary,
+        when: moment.parseZone(event.start?.dateTime || event.start?.date).format('ddd D MMM HH:mm'),
+        newWhen: newStart ? moment(this.mcpServer.parseDateTime(newStart)).tz(timezone).format('ddd D MMM HH:mm') : null
+      });
+    }
+    
+    if (operations.length === 0) {
+      return await this.runToolCalls(messageText, senderName, intent, resolvedCalls, { ...context, confirmed: true });
+    }
+    
+    debug.logMessageFlow('CONFIRM', `Waiting for confirmation of ${operations.length} operation(s)`);
+    
+    return {
+      processed: true,
+      needsConfirmation: true,
+      intent: intent,
+      message: this.confirmationPolicy.formatSummary(operations),
+      pendingState: { messageText, senderName, intent, toolCalls: resolvedCalls }
+    };
+  }
+
+  // The user confirmed: run the stored tool calls
+  async confirmEventMessage(pendingState, context = {}) {
+    debug.logMessageFlow('CONFIRMED', `Executing ${pendingState.toolCalls.length} confirmed tool call(s)`);
+    
+    return await this.runToolCalls(
+      pendingState.messageText,
+      pendingState.senderName,
+      pendingState.intent,
+      pendingState.toolCalls,
+      { ...context, confirmed: true }
+    );
+  }
+
+  cancelEventMessage(pendingState) {
+    debug.logMessageFlow('CANCELLED', `Cancelled ${pendingState.toolCalls.length} tool call(s)`);
+    
+    return {
+      processed: true,
+      cancelled: true,
+      intent: pendingState.intent,
+      message: 'Okay, cancelled - nothing was changed.'
+    };
+  }
+
+  // Continue tool calls paused by a clarifying question, using the event the
+  // answer points to ("the second one", "the 10am", "2")
+  async resumeEventMessage(pendingState, answerText, context = {}) {
+    const candidate = this.resolveCandidate(pendingState.candidates, answerText);
+    
+    debug.logMessageFlow('RESUME', 'Resolving clarification answer', {
+      answerText,
+      resolvedEventId: candidate?.id || null
+    });
+    
+    if (!candidate) {
       return {
-        processed: true,
-        intent: response.intent,
-        toolCalls: response.toolCalls,
-        toolResults: toolResults,
-        message: this.formatResponse(response.intent, toolResults),
-        rawResponse: response.text
+        processed: false,
+        unresolvedAnswer: true,
+        reason: 'Answer did not match any of the offered events'
       };
-    } else {
+    }
+    
+    const toolCalls = pendingState.toolCalls.map(toolCall =>
+      toolCall.arguments?.event_identifier === pendingState.identifier
+        ? { ...toolCall, arguments: { ...toolCall.arguments, event_identifier: candidate.id } }
+        : toolCall
+    );
+    
+    return await this.runToolCalls(pendingState.messageText, pendingState.senderName, pendingState.intent, toolCalls, context);
+  }
+
+  parseAmbiguity(result) {
+    if (!result?.isError || !result.content?.[0]) {
+      return null;
+    }
+    
+    try {
+      const data = JSON.parse(result.content[0].text);
+      return data.ambiguous ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  formatClarification({ identifier, candidates }) {
+    const options = candidates.map((event, index) => {
+      const when = moment.parseZone(event.start).format('ddd D MMM HH:mm');
+      return `${index + 1}. ${event.title} - ${when}${event.location ? ` (${event.location})` : ''}`;
+    }).join('\n');
+    
+    return `I found ${candidates.length} events matching "${identifier}". Which one did you mean?\n${options}\nReply with the number or the time.`;
+  }
+
+  resolveCandidate(candidates, answerText) {
+    const answer = answerText.toLowerCase().trim();
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+    
+    // "2", "#2", "2nd"
+    const numberMatch = answer.match(/^#?(\d+)(st|nd|rd|th)?$/);
+    if (numberMatch && parseInt(numberMatch[1]) <= candidates.length) {
+      return candidates[parseInt(numberMatch[1]) - 1] || null;
+    }
+    
+    // "the second one", "the last one"
+    if (/\blast\b/.test(answer)) {
+      return candidates[candidates.length - 1];
+    }
+    const ordinalIndex = ordinals.findIndex(word => new RegExp(`\\b${word}\\b`).test(answer));
+    if (ordinalIndex !== -1 && ordinalIndex < candidates.length) {
+      return candidates[ordinalIndex];
+    }
+    
+    // "the 10am", "14:30"
+    const timeMatch = answer.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/);
+    if (timeMatch && (timeMatch[2] || timeMatch[3])) {
+      let hour = parseInt(timeMatch[1]);
+      const minute = parseInt(timeMatch[2] || '0');
+      if (timeMatch[3] === 'pm' && hour !== 12) hour += 12;
+      if (timeMatch[3] === 'am' && hour === 12) hour = 0;
+      
+      const byTime = candidates.filter(event => {
+        const start = moment.parseZone(event.start);
+        return start.hour() === hour && start.minute() === minute;
+      });
+      if (byTime.length === 1) {
+        return byTime[0];
+      }
+    }
+    
+    // Title or location mentioned in the answer
+    const byText = candidates.filter(event =>
+      (event.location && answer.includes(event.location.toLowerCase())) ||
+      (event.title && answer.includes(event.title.toLowerCase()))
+    );
+    
+    return byText.length === 1 ? byText[0] : null;
+  }
+
+  // Store a completed turn (message, tool results, reply) in the chat's memory
+  rememberTurn(chatId, senderName, messageText, toolCalls, toolResults, reply) {
+    if (!this.memory) {
+      return;
+    }
+
+    const toolMessages = toolCalls.map((toolCall, index) => {
+      const result = toolResults[index] || {};
       return {
-        processed: false,
-        intent: response.intent || 'unknown',
-        message: response.text,
-        reason: 'No tool calls generated'
+        role: 'tool',
+        name: toolCall.name,
+        content: result.error ? `Error: ${result.error}` : result.content?.[0]?.text || ''
       };
+    });
+
+    this.memory.addTurn(chatId, [
+      { role: 'user', content: `${senderName}: ${messageText}` },
+      ...toolMessages,
+      { role: 'assistant', content: reply }
+    ]);
+  }
+
+  // Render the chat's recent turns as plain text for the prompt
+  buildHistoryText(chatId) {
+    if (!this.memory) {
+      return '';
     }
+
+    return this.memory.getMessages(chatId).map(message => {
+      if (message.role === 'tool') {
+        let content = message.content;
+        try {
+          content = JSON.stringify(JSON.parse(content));
+        } catch (error) {
+          // Not JSON, keep the raw text
+        }
+        return `  [${message.name} result] ${content}`;
+      }
+      
+      return message.role === 'assistant' ? `Assistant: ${message.content}` : message.content;
+    }).join('\n');
   }
 
-  buildMCPPrompt(messageText, senderName, tools) {
+  buildMCPPrompt(messageText, senderName, tools, history = '', quotedText = '') {
     const toolDescriptions = tools.map(tool => 
       `- ${tool.name}: ${tool.description}`
     ).join('\n');
 
+    const historySection = history ? `
+RECENT CONVERSATION (oldest first, with tool results):
+${history}
+
+When the message refers to "it", "that meeting", "the same place" etc., resolve it from the recent conversation and use the exact event ID from the tool results as "event_identifier".
+` : '';
+
+    const quotedSection = quotedText ? `
+${quotedText}
+
+The message below is a reply to the quoted message: "this" or "that" means the quoted message. Take event details from it, and use the exact event ID listed with it as "event_identifier".
+` : '';
+
     return `You are a calendar assistant. You MUST use ONLY the tools provided. The first word in the user message determines the action:
 
 COMMAND MAPPING (MANDATORY):
@@ -119,7 +432,7 @@ CRITICAL RULES:
 3. For "delete" commands: ALWAYS search first, then delete
 4. Use EXACT tool names as listed
 5. If uncertain about an event, search first
-
+${historySection}${quotedSection}
 Message from ${senderName}: "${messageText}"
 
 You MUST respond with JSON in this EXACT format:
@@ -325,15 +638,25 @@ Response:`;
     }
   }
 
-  async executeTool(toolCall) {
+  async executeTool(toolCall, context = {}) {
     console.log(chalk.blue(`🔧 Executing tool: ${toolCall.name}`));
     
+    if (context.permissions && !context.permissions.canUseTool(toolCall.name)) {
+      throw new Error(context.permissions.deniedMessage(toolCall.name));
+    }
+    
+    // Notes such as a photo's caption always go into created events
+    let args = toolCall.arguments;
+    if (toolCall.name === 'create_calendar_event' && context.eventNote) {
+      args = { ...args, description: [args.description, context.eventNote].filter(Boolean).join('\n\n') };
+    }
+    
     try {
       const result = await this.mcpServer.server.request({
         method: 'tools/call',
         params: {
           name: toolCall.name,
-          arguments: toolCall.arguments
+          arguments: args
         }
       });
 
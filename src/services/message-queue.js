@@ -0,0 +1,120 @@
+const chalk = require('chalk');
+const config = require('../config');
+const JsonStore = require('../utils/json-store');
+const IdempotencyStore = require('./idempotency-store');
+
+// Persisted queue of messages being processed. Messages are stored before
+// processing and removed once done, so nothing is lost on a crash; failed
+// messages are retried with exponential backoff until they get too old.
+class MessageQueue {
+  constructor(options = {}) {
+    this.maxAgeMs = (options.maxAgeMinutes || config.queue.maxAgeMinutes) * 60 * 1000;
+    this.maxAttempts = options.maxAttempts || config.queue.maxAttempts;
+    this.retryBaseMs = (options.retryBaseSeconds || config.queue.retryBaseSeconds) * 1000;
+    this.store = options.store || new JsonStore('queue.json', []);
+    this.items = new Map(this.store.load().map(item => [item.key, item]));
+  }
+
+  // Edits are queued separately from the message they edit, one per new text
+  key(messageId, edit = null) {
+    return edit ? `${messageId}:edit:${IdempotencyStore.hash(edit.newBody)}` : messageId;
+  }
+
+  get(key) {
+    return this.items.get(key) || null;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  // The snapshot is what the transport needs to rebuild the message after a
+  // restart (see Transport.serializeMessage())
+  enqueue(message, edit = null, snapshot = null) {
+    const messageId = message.id._serialized;
+    const key = this.key(messageId, edit);
+    const existing = this.items.get(key);
+
+    const item = existing ? { ...existing, edit } : {
+      key,
+      messageId,
+      edit,
+      snapshot,
+      // An edit is new even when the message it edits is old
+      receivedAt: !edit && message.timestamp ? message.timestamp * 1000 : Date.now(),
+      attempts: 0,
+      status: 'pending'
+    };
+
+    this.items.set(key, item);
+    this.save();
+
+    return item;
+  }
+
+  markProcessing(item) {
+    item.status = 'processing';
+    item.startedAt = Date.now();
+    this.save();
+  }
+
+  complete(item) {
+    this.remove(item.key);
+  }
+
+  // Record a failed attempt. Returns the delay before the next attempt, or
+  // null when the message is given up.
+  fail(item, error) {
+    item.attempts++;
+    item.lastError = error.message;
+
+    if (item.attempts >= this.maxAttempts || this.isStale(item)) {
+      this.remove(item.key);
+      return null;
+    }
+
+    const delay = this.retryBaseMs * 2 ** (item.attempts - 1);
+    item.status = 'pending';
+    item.nextAttemptAt = Date.now() + delay;
+    this.save();
+
+    return delay;
+  }
+
+  isStale(item) {
+    return Date.now() - item.receivedAt > this.maxAgeMs;
+  }
+
+  // Messages left unfinished by the last run. Stale ones are dropped.
+  takeUnfinished() {
+    const stale = [...this.items.values()].filter(item => this.isStale(item));
+
+    if (stale.length > 0) {
+      stale.forEach(item => this.items.delete(item.key));
+      this.save();
+      console.log(chalk.yellow(`⏭️  Dropped ${stale.length} queued message(s) older than ${this.maxAgeMs / 60000} minutes`));
+    }
+
+    return [...this.items.values()];
+  }
+
+  remove(key) {
+    if (this.items.delete(key)) {
+      this.save();
+    }
+  }
+
+  size() {
+    return this.items.size;
+  }
+
+  save() {
+    try {
+      this.store.save([...this.items.values()]);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save message queue:'), error.message);
+    }
+  }
+}
+
+module.exports = MessageQueue;
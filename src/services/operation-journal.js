@@ -0,0 +1,112 @@
+const chalk = require('chalk');
+const config = require('../config');
+const JsonStore = require('../utils/json-store');
+const { getOperationContext, noteJournalEntry } = require('../utils/operation-context');
+
+// Event fields restored when an operation is undone
+const RESTORABLE_FIELDS = ['summary', 'description', 'location', 'start', 'end', 'recurrence', 'attendees', 'reminders', 'colorId', 'source', 'extendedProperties'];
+
+// Persisted log of the calendar changes made by the secretary, with the
+// event state before and after each change so it can be undone.
+class OperationJournal {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || config.undo.journalSize;
+    this.store = options.store || new JsonStore('journal.json', []);
+    this.entries = this.store.load();
+  }
+
+  // Record a change. The chat, sender and message come from the operation
+  // context of the message being processed.
+  record(type, calendarId, eventId, before, after) {
+    const { chatId = null, senderId = null, messageId = null } = getOperationContext();
+
+    const entry = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      calendarId,
+      eventId,
+      before: OperationJournal.snapshot(before),
+      after: OperationJournal.snapshot(after),
+      chatId,
+      senderId,
+      messageId,
+      timestamp: new Date().toISOString(),
+      undone: false
+    };
+
+    this.entries.push(entry);
+    this.entries = this.entries.slice(-this.maxEntries);
+    this.save();
+    noteJournalEntry(entry.id);
+
+    return entry;
+  }
+
+  // Most recent operations in a chat that have not been undone, newest first
+  latest(chatId, count = 1, filter = () => true) {
+    return this.entries
+      .filter(entry => entry.chatId === chatId && !entry.undone && filter(entry))
+      .slice(-count)
+      .reverse();
+  }
+
+  // Entries for events created while processing a WhatsApp message that
+  // have not been undone or deleted since
+  createdBy(messageId) {
+    if (!messageId) {
+      return [];
+    }
+
+    const deleted = new Set(this.entries
+      .filter(entry => entry.type === 'delete' && !entry.undone)
+      .map(entry => entry.eventId));
+
+    return this.entries.filter(entry =>
+      entry.type === 'create' && entry.messageId === messageId && !entry.undone && !deleted.has(entry.eventId)
+    );
+  }
+
+  // Entries by ID that have not been undone, newest first
+  findUndoable(entryIds) {
+    const ids = new Set(entryIds);
+    return this.entries.filter(entry => ids.has(entry.id) && !entry.undone).reverse();
+  }
+
+  // Entries by ID, oldest first
+  findByIds(entryIds) {
+    const ids = new Set(entryIds);
+    return this.entries.filter(entry => ids.has(entry.id));
+  }
+
+  markUndone(entry) {
+    entry.undone = true;
+    entry.undoneAt = new Date().toISOString();
+    this.save();
+  }
+
+  save() {
+    try {
+      this.store.save(this.entries);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save operation journal:'), error.message);
+    }
+  }
+
+  static snapshot(event) {
+    if (!event) {
+      return null;
+    }
+
+    const snapshot = {};
+    RESTORABLE_FIELDS.forEach(field => {
+      if (event[field] !== undefined) {
+        snapshot[field] = event[field];
+      }
+    });
+
+    return snapshot;
+  }
+}
+
+module.exports = OperationJournal;
+module.exports.RESTORABLE_FIELDS = RESTORABLE_FIELDS;
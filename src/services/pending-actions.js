@@ -0,0 +1,62 @@
+const config = require('../config');
+
+// Actions waiting for a sender's answer (e.g. a clarifying question),
+// keyed by chat and sender. Expired actions are dropped on access.
+class PendingActionStore {
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlMinutes || config.pendingActions.ttlMinutes) * 60 * 1000;
+    this.actions = new Map();
+  }
+
+  key(chatId, senderId) {
+    return `${chatId}:${senderId}`;
+  }
+
+  set(chatId, senderId, action, ttlMinutes = null) {
+    const createdAt = Date.now();
+    const pending = {
+      ...action,
+      chatId,
+      senderId,
+      createdAt,
+      expiresAt: createdAt + (ttlMinutes ? ttlMinutes * 60 * 1000 : this.ttlMs)
+    };
+
+    this.actions.set(this.key(chatId, senderId), pending);
+    return pending;
+  }
+
+  get(chatId, senderId) {
+    const key = this.key(chatId, senderId);
+    const pending = this.actions.get(key);
+
+    if (!pending) {
+      return null;
+    }
+
+    if (pending.expiresAt < Date.now()) {
+      this.actions.delete(key);
+      return null;
+    }
+
+    return pending;
+  }
+
+  // Get and remove the pending action in one step
+  take(chatId, senderId) {
+    const pending = this.get(chatId, senderId);
+    this.delete(chatId, senderId);
+    return pending;
+  }
+
+  // Put a taken action back, e.g. when its answer is going to be processed again
+  restore(pending) {
+    this.actions.set(this.key(pending.chatId, pending.senderId), pending);
+  }
+
+  delete(chatId, senderId) {
+    this.actions.delete(this.key(chatId, senderId));
+  }
+}
+
+module.exports = PendingActionStore;
@@ -0,0 +1,71 @@
+// Sender roles for a monitored chat
+const ROLES = {
+  CREATE: 'create', // can create events
+  EDIT: 'edit',     // can edit/delete events
+  QUERY: 'query'    // read-only queries
+};
+
+// Role required to use each calendar tool
+const TOOL_ROLES = {
+  list_calendar_events: ROLES.QUERY,
+  search_calendar_events: ROLES.QUERY,
+  create_calendar_event: ROLES.CREATE,
+  update_calendar_event: ROLES.EDIT,
+  delete_calendar_event: ROLES.EDIT
+};
+
+class SenderPermissions {
+  constructor(senderId, roles) {
+    this.senderId = senderId;
+    this.roles = new Set(roles);
+  }
+
+  static owner() {
+    return new SenderPermissions('me', Object.values(ROLES));
+  }
+
+  can(role) {
+    return this.roles.has(role);
+  }
+
+  canUseTool(toolName) {
+    const role = TOOL_ROLES[toolName];
+    return !role || this.can(role);
+  }
+
+  deniedMessage(toolName) {
+    return `Permission denied: this sender is not allowed to use ${toolName} (requires "${TOOL_ROLES[toolName]}" role)`;
+  }
+}
+
+// Phone numbers and contact IDs ("15551234567@c.us") compare by their digits
+function normalizeSenderId(senderId) {
+  return String(senderId || '').split('@')[0].replace(/\D/g, '');
+}
+
+// Look up a sender in a chat's allowlist. Messages sent from the secretary's
+// own account always have every role; unknown senders get null.
+function resolvePermissions(chatSettings, senderId, fromMe = false) {
+  if (fromMe) {
+    return SenderPermissions.owner();
+  }
+
+  const normalized = normalizeSenderId(senderId);
+  const entry = (chatSettings.allowedSenders || []).find(sender =>
+    normalizeSenderId(sender.id) === normalized
+  );
+
+  if (!normalized || !entry) {
+    return null;
+  }
+
+  return new SenderPermissions(senderId, entry.roles || [ROLES.QUERY]);
+}
+
+module.exports = {
+  ROLES,
+  TOOL_ROLES,
+  SenderPermissions,
+  normalizeSenderId,
+  resolvePermissions
+};
@@ -0,0 +1,103 @@
+const moment = require('moment-timezone');
+const chalk = require('chalk');
+const JsonStore = require('../utils/json-store');
+
+// Private extended property holding an event's own reminder time, in minutes
+// before the start ("0" means no reminder)
+const REMINDER_PROPERTY = 'whatsappReminderMinutes';
+
+// Events are looked up this far ahead, so per-event reminders are capped at
+// this long before the start (a longer one would only be sent this late)
+const MAX_REMINDER_MINUTES = 24 * 60;
+
+// Sent reminders are remembered this long after they were sent
+const SENT_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+
+// WhatsApp reminders before events start. Which reminders were sent is
+// persisted, so a restart does not send them again; an event that is moved
+// gets a new reminder for its new time.
+class ReminderService {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('reminders.json', { sent: {} });
+    this.state = this.store.load();
+  }
+
+  // Extended properties that give an event its own reminder time
+  static eventProperties(minutes) {
+    return { private: { [REMINDER_PROPERTY]: String(ReminderService.clamp(minutes)) } };
+  }
+
+  // Minutes of a per-event reminder, between 0 and MAX_REMINDER_MINUTES
+  static clamp(minutes) {
+    return Math.min(Math.max(0, parseInt(minutes) || 0), MAX_REMINDER_MINUTES);
+  }
+
+  // Minutes before the start the event's reminder is due; 0 for none
+  minutesBefore(event, settings) {
+    const override = parseInt(event.extendedProperties?.private?.[REMINDER_PROPERTY]);
+    return isNaN(override) ? settings.reminders.minutesBefore : ReminderService.clamp(override);
+  }
+
+  // How far ahead to look for events of a chat: the longest reminder, plus a
+  // minute so an event starting exactly at the edge is found as well
+  lookaheadMinutes(settings) {
+    return Math.max(settings.reminders.minutesBefore, MAX_REMINDER_MINUTES) + 1;
+  }
+
+  // Timed events whose reminder time has come, that have not started and
+  // were not reminded of yet. All-day events get no reminder.
+  dueReminders(chatKey, settings, events, now = moment()) {
+    return events.filter(event => {
+      const minutes = this.minutesBefore(event, settings);
+      if (!event.start?.dateTime || minutes <= 0 || this.state.sent[this.key(chatKey, event)]) {
+        return false;
+      }
+
+      const start = moment(event.start.dateTime);
+      return now.isBefore(start) && !now.isBefore(start.clone().subtract(minutes, 'minutes'));
+    });
+  }
+
+  key(chatKey, event) {
+    return `${chatKey}:${event.id}:${moment(event.start.dateTime).toISOString()}`;
+  }
+
+  markSent(chatKey, event) {
+    this.state.sent[this.key(chatKey, event)] = Date.now();
+    this.save();
+  }
+
+  format(event, timezone, now = moment()) {
+    const start = moment(event.start.dateTime).tz(timezone);
+    let text = `⏰ Reminder: "${event.summary || 'No Title'}" starts ${start.from(now)} (${start.format('HH:mm')})`;
+
+    if (event.location) {
+      text += ` — 📍 ${event.location}`;
+    }
+
+    return text;
+  }
+
+  prune() {
+    const now = Date.now();
+
+    Object.entries(this.state.sent).forEach(([key, sentAt]) => {
+      if (sentAt + SENT_RETENTION_MS < now) {
+        delete this.state.sent[key];
+      }
+    });
+  }
+
+  save() {
+    try {
+      this.prune();
+      this.store.save(this.state);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save reminder state:'), error.message);
+    }
+  }
+}
+
+module.exports = ReminderService;
+module.exports.REMINDER_PROPERTY = REMINDER_PROPERTY;
+module.exports.MAX_REMINDER_MINUTES = MAX_REMINDER_MINUTES;
@@ -0,0 +1,39 @@
+const config = require('../config');
+
+// Remembers which request each "Agent Response:" reply answered and which
+// journal entries that request produced, so reactions on a reply can act
+// on them. Entries expire after the reaction window.
+class ReplyRegistry {
+  constructor(options = {}) {
+    this.ttlMs = (options.windowHours || config.reactions.windowHours) * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.replies = new Map();
+  }
+
+  // reply: { chatId, senderId, messageId, entryIds }
+  remember(replyId, reply) {
+    this.replies.set(replyId, { ...reply, createdAt: Date.now() });
+
+    // Maps keep insertion order, so the oldest replies go first
+    while (this.replies.size > this.maxEntries) {
+      this.replies.delete(this.replies.keys().next().value);
+    }
+  }
+
+  get(replyId) {
+    const reply = this.replies.get(replyId);
+
+    if (!reply) {
+      return null;
+    }
+
+    if (reply.createdAt + this.ttlMs < Date.now()) {
+      this.replies.delete(replyId);
+      return null;
+    }
+
+    return reply;
+  }
+}
+
+module.exports = ReplyRegistry;
@@ -0,0 +1,78 @@
+const http = require('http');
+const chalk = require('chalk');
+const config = require('../config');
+
+// Small HTTP server for watchdogs and uptime monitors:
+// - GET /healthz  200 when WhatsApp is connected, the calendar credentials
+//                 work and the LLM answers, 503 otherwise
+// - GET /status   uptime, statistics, queue depth, last error and model
+class StatusServer {
+  constructor(secretary, options = {}) {
+    this.secretary = secretary;
+    this.port = options.port !== undefined ? options.port : config.statusServer.port;
+    this.host = options.host || config.statusServer.host;
+    this.server = null;
+  }
+
+  // Resolves with the port listened on (useful with port 0)
+  start() {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        console.log(chalk.blue(`🩺 Status server listening on http://${this.host}:${port} (/healthz, /status)`));
+        resolve(port);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async handle(request, response) {
+    try {
+      if (request.method !== 'GET' && request.method !== 'HEAD') {
+        this.send(response, 405, { error: 'method not allowed' });
+        return;
+      }
+
+      const { pathname } = new URL(request.url, 'http://localhost');
+
+      switch (pathname) {
+        case '/healthz': {
+          const health = await this.secretary.checkHealth();
+          this.send(response, health.ok ? 200 : 503, { status: health.ok ? 'ok' : 'unhealthy', checks: health.checks });
+          break;
+        }
+
+        case '/status':
+          this.send(response, 200, this.secretary.status());
+          break;
+
+        default:
+          this.send(response, 404, { error: 'not found', endpoints: ['/healthz', '/status'] });
+      }
+    } catch (error) {
+      console.log(chalk.red('❌ Status request failed:'), error.message);
+      this.send(response, 500, { error: error.message });
+    }
+  }
+
+  send(response, statusCode, body) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body, null, 2));
+  }
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,114 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const chalk = require('chalk');
+const config = require('../config');
+
+const execFileAsync = promisify(execFile);
+
+// Local whisper.cpp binary. Voice notes arrive as Opus/OGG, so they are
+// converted with ffmpeg to the 16 kHz mono WAV whisper.cpp expects.
+class WhisperCppBackend {
+  constructor(options) {
+    this.binary = options.whisperBinary;
+    this.model = options.whisperModel;
+    this.ffmpegPath = options.ffmpegPath;
+    this.language = options.language;
+    this.timeout = options.timeout;
+  }
+
+  async transcribe(audio) {
+    if (!this.model) {
+      throw new Error('WHISPER_CPP_MODEL is not set');
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secretary-voice-'));
+    const inputPath = path.join(workDir, 'voice-note');
+    const wavPath = path.join(workDir, 'voice-note.wav');
+
+    try {
+      fs.writeFileSync(inputPath, audio);
+
+      await execFileAsync(this.ffmpegPath, ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], {
+        timeout: this.timeout
+      });
+
+      const { stdout } = await execFileAsync(this.binary, ['-m', this.model, '-f', wavPath, '-l', this.language, '--no-timestamps'], {
+        timeout: this.timeout,
+        maxBuffer: 10 * 1024 * 1024
+      });
+
+      return stdout.replace(/\s+/g, ' ').trim();
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Any OpenAI-compatible /audio/transcriptions endpoint (OpenAI, a local
+// faster-whisper server, Groq, ...)
+class OpenAITranscriptionBackend {
+  constructor(options) {
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseUrl,
+      timeout: options.timeout
+    });
+    this.model = options.model;
+    this.language = options.language;
+  }
+
+  async transcribe(audio, mimetype) {
+    const extension = (mimetype || '').includes('mpeg') ? 'mp3' : 'ogg';
+    const file = await toFile(audio, `voice-note.${extension}`, { type: mimetype });
+
+    const response = await this.client.audio.transcriptions.create({
+      file,
+      model: this.model,
+      ...(this.language !== 'auto' ? { language: this.language } : {})
+    });
+
+    return (response.text || '').trim();
+  }
+}
+
+const BACKENDS = {
+  'whisper-cpp': WhisperCppBackend,
+  'openai': OpenAITranscriptionBackend
+};
+
+// Speech-to-text for voice notes. The backend is chosen with
+// TRANSCRIPTION_BACKEND; "none" turns voice notes off.
+class TranscriptionService {
+  constructor(options = config.transcription) {
+    this.options = options;
+    this.backend = null;
+
+    const Backend = BACKENDS[options.backend];
+    if (Backend) {
+      this.backend = new Backend(options);
+    } else if (options.backend !== 'none') {
+      console.log(chalk.yellow(`⚠️  Unknown transcription backend "${options.backend}", voice notes are disabled`));
+    }
+  }
+
+  isEnabled() {
+    return !!this.backend;
+  }
+
+  async transcribe(audio, mimetype) {
+    if (!this.backend) {
+      throw new Error('Voice note transcription is disabled');
+    }
+
+    console.log(chalk.blue(`🎙️  Transcribing voice note with ${this.options.backend}...`));
+    return await this.backend.transcribe(audio, mimetype);
+  }
+}
+
+module.exports = TranscriptionService;
+module.exports.BACKENDS = BACKENDS;
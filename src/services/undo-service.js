@@ -0,0 +1,90 @@
+const moment = require('moment-timezone');
+const chalk = require('chalk');
+const { ROLES } = require('./permissions');
+
+// Most operations one "undo last N" may revert
+const MAX_UNDO_OPERATIONS = 10;
+
+// Handles the WhatsApp "undo" / "undo last 3" command using the operation journal
+class UndoService {
+  constructor(journal) {
+    this.journal = journal;
+  }
+
+  // Number of operations to undo, or null if the text is not an undo command
+  parseCommand(text) {
+    const match = (text || '').trim().match(/^undo(?:\s+(?:the\s+)?(?:last\s+)?(\d+)(?:\s+(?:operations?|changes?))?)?[.!]?$/i);
+    if (!match) {
+      return null;
+    }
+
+    return Math.min(parseInt(match[1] || '1'), MAX_UNDO_OPERATIONS);
+  }
+
+  // Revert the chat's most recent operations, newest first. Senders who
+  // cannot edit events may only undo their own operations.
+  async undo(calendarService, chatId, count, permissions) {
+    const ownOnly = !permissions.can(ROLES.EDIT);
+    const entries = this.journal.latest(chatId, count, entry =>
+      !ownOnly || entry.senderId === permissions.senderId
+    );
+
+    return await this.revert(calendarService, entries);
+  }
+
+  // Revert the given journal entries (e.g. the operations behind one reply)
+  async undoEntries(calendarService, entryIds, permissions) {
+    const ownOnly = !permissions.can(ROLES.EDIT);
+    const entries = this.journal.findUndoable(entryIds).filter(entry =>
+      !ownOnly || entry.senderId === permissions.senderId
+    );
+
+    return await this.revert(calendarService, entries);
+  }
+
+  async revert(calendarService, entries) {
+    if (entries.length === 0) {
+      return 'There is nothing to undo.';
+    }
+
+    console.log(chalk.blue(`↩️  Undoing ${entries.length} operation(s)...`));
+
+    const lines = [];
+    let undone = 0;
+
+    for (const entry of entries) {
+      const result = await calendarService.revertOperation(entry);
+      const description = this.describe(entry, calendarService.timezone);
+
+      if (result.success) {
+        this.journal.markUndone(entry);
+        lines.push(`• ${description}`);
+        undone++;
+      } else {
+        lines.push(`• ⚠️ Could not undo: ${description} (${result.error})`);
+      }
+    }
+
+    return `↩️ Undid ${undone} of ${entries.length} operation${entries.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+  }
+
+  describe(entry, timezone) {
+    const event = entry.before || entry.after || {};
+    const start = event.start?.dateTime || event.start?.date;
+    const when = start ? ` (${moment(start).tz(timezone).format('ddd D MMM HH:mm')})` : '';
+    const title = `"${event.summary || 'Untitled event'}"${when}`;
+
+    switch (entry.type) {
+      case 'create':
+        return `Removed ${title}`;
+      case 'update':
+        return `Reverted changes to ${title}`;
+      case 'delete':
+        return `Restored ${title}`;
+      default:
+        return title;
+    }
+  }
+}
+
+module.exports = UndoService;
@@ -0,0 +1,178 @@
+const moment = require('moment-timezone');
+const chalk = require('chalk');
+const JsonStore = require('../utils/json-store');
+
+// A summary is still posted this long after its scheduled time, but not later
+const SUMMARY_GRACE_MINUTES = 30;
+
+// An evening is free when no event falls between these hours
+const EVENING_START_HOUR = 18;
+const EVENING_END_HOUR = 22;
+
+// Week-ahead summary: events per day, busiest day, overlapping events, total
+// scheduled hours and free evenings. The week each chat last got its summary
+// is persisted, so a restart does not post it twice.
+class WeeklySummaryService {
+  constructor(options = {}) {
+    this.store = options.store || new JsonStore('weekly-summary.json', { lastSent: {} });
+    this.state = this.store.load();
+  }
+
+  // Whether the text asks for the summary ("week summary", "week ahead")
+  isCommand(text) {
+    return /^(?:(?:the\s+)?week(?:ly)?\s+(?:summary|overview|ahead)|summary\s+(?:of\s+)?(?:the\s+)?week)[?.!]?$/i.test((text || '').trim());
+  }
+
+  // Whether the chat's summary should be posted now: on the configured day,
+  // after its time (within the grace period) and not yet posted this week
+  isDue(chatKey, settings, now = moment()) {
+    const summary = settings.weeklySummary;
+    if (!summary?.enabled || settings.private) {
+      return false;
+    }
+
+    const local = now.clone().tz(settings.timezone);
+    const match = (summary.time || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || local.format('dddd').toLowerCase() !== summary.day.toLowerCase()) {
+      return false;
+    }
+
+    if (this.state.lastSent[chatKey] === local.format('YYYY-MM-DD')) {
+      return false;
+    }
+
+    const scheduled = local.clone().set({ hour: parseInt(match[1]), minute: parseInt(match[2]), second: 0, millisecond: 0 });
+    const minutesLate = local.diff(scheduled, 'minutes', true);
+    return minutesLate >= 0 && minutesLate < SUMMARY_GRACE_MINUTES;
+  }
+
+  markSent(chatKey, settings, now = moment()) {
+    this.state.lastSent[chatKey] = now.clone().tz(settings.timezone).format('YYYY-MM-DD');
+    this.save();
+  }
+
+  // Seven days from the start of the given day
+  weekRange(from, timezone) {
+    const start = from.clone().tz(timezone).startOf('day');
+    return { start, end: start.clone().add(7, 'days') };
+  }
+
+  analyze(events, start, timezone) {
+    const days = [];
+
+    for (let i = 0; i < 7; i++) {
+      const dayStart = start.clone().add(i, 'days');
+      const dayEnd = dayStart.clone().add(1, 'day');
+      const eveningStart = dayStart.clone().hour(EVENING_START_HOUR);
+      const eveningEnd = dayStart.clone().hour(EVENING_END_HOUR);
+
+      const dayEvents = events.filter(event => {
+        const { start: eventStart, end: eventEnd } = this.eventSpan(event, timezone);
+        return eventStart.isBefore(dayEnd) && eventEnd.isAfter(dayStart);
+      });
+
+      const timed = dayEvents.filter(event => event.start?.dateTime);
+      const minutes = timed.reduce((total, event) => {
+        const { start: eventStart, end: eventEnd } = this.eventSpan(event, timezone);
+        return total + moment.min(eventEnd, dayEnd).diff(moment.max(eventStart, dayStart), 'minutes');
+      }, 0);
+
+      const freeEvening = !timed.some(event => {
+        const { start: eventStart, end: eventEnd } = this.eventSpan(event, timezone);
+        return eventStart.isBefore(eveningEnd) && eventEnd.isAfter(eveningStart);
+      });
+
+      days.push({ date: dayStart, events: dayEvents, hours: minutes / 60, freeEvening });
+    }
+
+    const busiest = days.reduce((best, day) =>
+      !best || day.events.length > best.events.length ||
+      (day.events.length === best.events.length && day.hours > best.hours) ? day : best
+    , null);
+
+    return {
+      days,
+      totalEvents: events.length,
+      totalHours: days.reduce((total, day) => total + day.hours, 0),
+      busiest: busiest.events.length > 0 ? busiest : null,
+      overlaps: this.findOverlaps(events, timezone),
+      freeEvenings: days.filter(day => day.freeEvening)
+    };
+  }
+
+  // Pairs of timed events that overlap, in start order
+  findOverlaps(events, timezone) {
+    const timed = events
+      .filter(event => event.start?.dateTime)
+      .map(event => ({ event, ...this.eventSpan(event, timezone) }))
+      .sort((a, b) => a.start.valueOf() - b.start.valueOf());
+
+    const overlaps = [];
+    timed.forEach((first, i) => {
+      timed.slice(i + 1).forEach(second => {
+        if (second.start.isBefore(first.end)) {
+          overlaps.push([first, second]);
+        }
+      });
+    });
+
+    return overlaps;
+  }
+
+  eventSpan(event, timezone) {
+    if (event.start?.date) {
+      const start = moment.tz(event.start.date, timezone);
+      return { start, end: event.end?.date ? moment.tz(event.end.date, timezone) : start.clone().add(1, 'day') };
+    }
+
+    const start = moment(event.start.dateTime).tz(timezone);
+    return { start, end: event.end?.dateTime ? moment(event.end.dateTime).tz(timezone) : start.clone() };
+  }
+
+  format(analysis) {
+    const { days } = analysis;
+    const lines = [`📊 Week ahead (${days[0].date.format('ddd D MMM')} – ${days[6].date.format('ddd D MMM')}):`, ''];
+
+    days.forEach(day => {
+      const count = day.events.length;
+      lines.push(count === 0
+        ? `${day.date.format('ddd D')}: —`
+        : `${day.date.format('ddd D')}: ${count} event${count === 1 ? '' : 's'}${day.hours > 0 ? ` (${this.formatHours(day.hours)})` : ''}`);
+    });
+
+    lines.push('');
+    lines.push(`📈 ${analysis.totalEvents} event${analysis.totalEvents === 1 ? '' : 's'}, ${this.formatHours(analysis.totalHours)} scheduled`);
+
+    if (analysis.busiest) {
+      const { date, events, hours } = analysis.busiest;
+      lines.push(`🔥 Busiest day: ${date.format('dddd')} (${events.length} event${events.length === 1 ? '' : 's'}${hours > 0 ? `, ${this.formatHours(hours)}` : ''})`);
+    }
+
+    if (analysis.overlaps.length > 0) {
+      lines.push('⚠️ Overlapping events:');
+      analysis.overlaps.forEach(([first, second]) => {
+        lines.push(`• ${first.start.format('ddd')}: "${first.event.summary || 'No Title'}" ${first.start.format('HH:mm')} and "${second.event.summary || 'No Title'}" ${second.start.format('HH:mm')}`);
+      });
+    }
+
+    lines.push(analysis.freeEvenings.length > 0
+      ? `🌙 Free evenings: ${analysis.freeEvenings.map(day => day.date.format('ddd')).join(', ')}`
+      : '🌙 No free evenings this week');
+
+    return lines.join('\n');
+  }
+
+  formatHours(hours) {
+    return `${Math.round(hours * 10) / 10}h`;
+  }
+
+  save() {
+    try {
+      this.store.save(this.state);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to save weekly summary state:'), error.message);
+    }
+  }
+}
+
+module.exports = WeeklySummaryService;
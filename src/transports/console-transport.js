@@ -0,0 +1,147 @@
+const readline = require('readline');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('../config');
+const Transport = require('./transport');
+
+// A line typed in the terminal, in the shape of a whatsapp-web.js message
+class ConsoleMessage {
+  constructor(transport, id, body, fromSecretary = false) {
+    this.transport = transport;
+    this.id = { _serialized: `console:${transport.runId}:${id}` };
+    this.body = body;
+    this.fromMe = true;
+    this.fromSecretary = fromSecretary;
+    this.timestamp = Math.floor(Date.now() / 1000);
+    this.hasMedia = false;
+    this.type = 'chat';
+    this.hasQuotedMsg = false;
+  }
+
+  async reply(text) {
+    return this.transport.print(text);
+  }
+
+  async getChat() {
+    return this.transport.chat;
+  }
+
+  async getQuotedMessage() {
+    return null;
+  }
+
+  async downloadMedia() {
+    return null;
+  }
+}
+
+// Interactive terminal: every line typed is a message from you in the first
+// monitored group (or CONSOLE_CHAT_NAME), and replies are printed. Handy to
+// try the calendar brain without a phone.
+class ConsoleTransport extends Transport {
+  constructor(options = {}) {
+    super('Console');
+
+    const chats = options.chats || config.chats;
+    const chatName = options.chatName || config.transport.consoleChatName;
+    const settings = chatName ? chats.find(chat => chat.name === chatName) : chats.find(chat => !chat.private);
+    // A chat configured with an ID is only recognized by that ID
+    const chatId = settings?.id || 'console';
+
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.userName = options.userName || os.userInfo().username || 'Me';
+    this.rl = null;
+    // Processed message IDs are kept across restarts, so IDs are unique per run
+    this.runId = Date.now().toString(36);
+    this.nextId = 1;
+    this.messages = new Map();
+    this.chat = {
+      id: { _serialized: chatId, user: chatId.split('@')[0] },
+      name: chatName || settings?.name || config.whatsapp.targetGroupName,
+      isGroup: true,
+      sendMessage: async (text) => this.print(text)
+    };
+  }
+
+  async initialize() {
+    this.rl = readline.createInterface({ input: this.input, output: this.output, prompt: '> ' });
+
+    this.rl.on('line', (line) => {
+      if (!line.trim()) {
+        this.rl.prompt();
+        return;
+      }
+      this.emit('message', this.remember(new ConsoleMessage(this, this.nextId++, line.trim())));
+    });
+
+    // Ctrl+C and Ctrl+D shut the secretary down as usual
+    this.rl.on('SIGINT', () => process.emit('SIGINT'));
+    this.rl.on('close', () => process.emit('SIGINT'));
+
+    console.log(chalk.blue(`💻 Console mode: type messages as if you were writing in "${this.chat.name}"`));
+    this.setConnectionState('connected');
+    this.emit('ready');
+    this.rl.prompt();
+  }
+
+  async destroy() {
+    this.rl?.removeAllListeners('close');
+    this.rl?.close();
+    this.setConnectionState('stopped');
+  }
+
+  // Show a message from the secretary and return it as a sent message
+  print(text) {
+    this.output.write(`\n${chalk.green(text)}\n`);
+    this.rl?.prompt();
+    return this.remember(new ConsoleMessage(this, this.nextId++, text, true));
+  }
+
+  remember(message) {
+    this.messages.set(message.id._serialized, message);
+    return message;
+  }
+
+  async getMessageById(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  serializeMessage(message) {
+    return { id: message.id._serialized, body: message.body, timestamp: message.timestamp };
+  }
+
+  restoreMessage(data) {
+    const message = new ConsoleMessage(this, 0, data.body);
+    message.id = { _serialized: data.id };
+    message.timestamp = data.timestamp;
+    return this.remember(message);
+  }
+
+  async getChatById(chatId) {
+    return chatId === this.chat.id._serialized ? this.chat : null;
+  }
+
+  async getChats() {
+    return [this.chat];
+  }
+
+  // Files are written to the temp directory and their path printed
+  async sendFile(message, file) {
+    const filePath = path.join(os.tmpdir(), file.filename);
+    fs.writeFileSync(filePath, Buffer.from(file.data, 'base64'));
+    return this.print(`📎 ${file.filename} saved to ${filePath}`);
+  }
+
+  senderId(message) {
+    return 'me';
+  }
+
+  senderName(message) {
+    return message.fromSecretary ? 'Secretary' : this.userName;
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,20 @@
+const config = require('../config');
+
+const TRANSPORTS = ['whatsapp', 'telegram', 'console'];
+
+// Create the messaging transport selected with TRANSPORT. Adapters are
+// required lazily so Telegram and console mode don't load whatsapp-web.js.
+function createTransport(type = config.transport.type) {
+  switch (type) {
+    case 'whatsapp':
+      return new (require('./whatsapp-transport'))();
+    case 'telegram':
+      return new (require('./telegram-transport'))();
+    case 'console':
+      return new (require('./console-transport'))();
+    default:
+      throw new Error(`Unknown transport "${type}" (expected one of: ${TRANSPORTS.join(', ')})`);
+  }
+}
+
+module.exports = { createTransport, TRANSPORTS };
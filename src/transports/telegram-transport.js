@@ -0,0 +1,292 @@
+const axios = require('axios');
+const chalk = require('chalk');
+const config = require('../config');
+const Transport = require('./transport');
+
+// Messages kept for getMessageById (the Bot API cannot fetch old messages)
+const MAX_CACHED_MESSAGES = 1000;
+
+// Wait before polling again after a failed getUpdates
+const POLL_RETRY_DELAY_MS = 5000;
+
+// A Telegram message in the shape of a whatsapp-web.js message
+class TelegramMessage {
+  constructor(transport, raw) {
+    this.transport = transport;
+    this.raw = raw;
+    this.id = { _serialized: TelegramTransport.messageKey(raw.chat.id, raw.message_id) };
+    this.body = raw.text || raw.caption || '';
+    this.fromMe = !!transport.botUser && raw.from?.id === transport.botUser.id;
+    this.timestamp = raw.date;
+    this.hasQuotedMsg = !!raw.reply_to_message;
+
+    const media = TelegramMessage.media(raw);
+    this.hasMedia = !!media;
+    this.type = media ? media.type : 'chat';
+    this.duration = raw.voice?.duration || raw.audio?.duration;
+  }
+
+  // The attached file and its whatsapp-web.js message type
+  static media(raw) {
+    if (raw.voice) {
+      return { type: 'ptt', file: raw.voice, mimetype: raw.voice.mime_type || 'audio/ogg' };
+    }
+    if (raw.audio) {
+      return { type: 'audio', file: raw.audio, mimetype: raw.audio.mime_type || 'audio/mpeg' };
+    }
+    if (raw.photo) {
+      // Photos come in several sizes, the largest last
+      return { type: 'image', file: raw.photo[raw.photo.length - 1], mimetype: 'image/jpeg' };
+    }
+    if (raw.document) {
+      return { type: 'document', file: raw.document, mimetype: raw.document.mime_type, filename: raw.document.file_name };
+    }
+    return null;
+  }
+
+  async reply(text) {
+    return await this.transport.sendMessage(this.raw.chat.id, text, this.raw.message_id);
+  }
+
+  async getChat() {
+    return this.transport.wrapChat(this.raw.chat);
+  }
+
+  async getQuotedMessage() {
+    return this.raw.reply_to_message ? this.transport.wrapMessage(this.raw.reply_to_message) : null;
+  }
+
+  async downloadMedia() {
+    const media = TelegramMessage.media(this.raw);
+    return media ? await this.transport.downloadFile(media) : null;
+  }
+}
+
+// A Telegram chat in the shape of a whatsapp-web.js chat
+class TelegramChat {
+  constructor(transport, raw) {
+    this.transport = transport;
+    this.raw = raw;
+    this.id = { _serialized: String(raw.id), user: String(raw.id) };
+    this.name = raw.title || [raw.first_name, raw.last_name].filter(Boolean).join(' ') || raw.username || String(raw.id);
+    this.isGroup = raw.type === 'group' || raw.type === 'supergroup';
+  }
+
+  async sendMessage(text) {
+    return await this.transport.sendMessage(this.raw.id, text);
+  }
+}
+
+// Telegram through the Bot API, with long polling. Add the bot to a group and
+// turn off its privacy mode (BotFather /setprivacy) so it sees all messages.
+// Bots are not told about deleted messages, and only see reactions when they
+// are an administrator of the group.
+class TelegramTransport extends Transport {
+  constructor(options = {}) {
+    super('Telegram');
+
+    this.token = options.botToken || config.transport.telegramBotToken;
+    this.pollTimeout = options.pollTimeout || config.transport.telegramPollTimeout;
+    this.apiUrl = `https://api.telegram.org/bot${this.token}`;
+    this.fileUrl = `https://api.telegram.org/file/bot${this.token}`;
+    this.botUser = null;
+    this.offset = 0;
+    this.polling = false;
+    this.abortController = null;
+    this.messages = new Map();
+    this.chats = new Map();
+  }
+
+  static messageKey(chatId, messageId) {
+    return `${chatId}:${messageId}`;
+  }
+
+  async initialize() {
+    if (!this.token) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not set');
+    }
+
+    console.log(chalk.blue('🔧 Connecting to the Telegram Bot API...'));
+    this.botUser = await this.call('getMe');
+    console.log(chalk.green(`✅ Telegram bot @${this.botUser.username} connected`));
+
+    this.polling = true;
+    this.setConnectionState('connected');
+    this.emit('ready');
+    this.poll();
+  }
+
+  async destroy() {
+    this.polling = false;
+    this.abortController?.abort();
+    this.setConnectionState('stopped');
+  }
+
+  async call(method, params = {}, options = {}) {
+    const response = await axios.post(`${this.apiUrl}/${method}`, params, {
+      timeout: options.timeout || 30000,
+      signal: options.signal,
+      headers: options.headers
+    });
+
+    if (!response.data.ok) {
+      throw new Error(`Telegram ${method} failed: ${response.data.description}`);
+    }
+
+    return response.data.result;
+  }
+
+  async poll() {
+    while (this.polling) {
+      try {
+        this.abortController = new AbortController();
+        const updates = await this.call('getUpdates', {
+          offset: this.offset,
+          timeout: this.pollTimeout,
+          allowed_updates: ['message', 'edited_message', 'message_reaction']
+        }, { timeout: (this.pollTimeout + 10) * 1000, signal: this.abortController.signal });
+
+        if (this.connection.state !== 'connected') {
+          console.log(chalk.green('✅ Telegram polling works again'));
+          this.setConnectionState('connected', { reason: null });
+        }
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          this.handleUpdate(update);
+        }
+      } catch (error) {
+        if (!this.polling) {
+          return;
+        }
+        console.log(chalk.yellow('⚠️  Telegram polling failed:'), error.message);
+        this.setConnectionState('reconnecting', { reason: error.message });
+        await new Promise(resolve => setTimeout(resolve, POLL_RETRY_DELAY_MS));
+      }
+    }
+  }
+
+  handleUpdate(update) {
+    if (update.message) {
+      this.emit('message', this.wrapMessage(update.message));
+    } else if (update.edited_message) {
+      const key = TelegramTransport.messageKey(update.edited_message.chat.id, update.edited_message.message_id);
+      const prevBody = this.messages.get(key)?.body || '';
+      const message = this.wrapMessage(update.edited_message);
+      this.emit('message_edit', message, message.body, prevBody);
+    } else if (update.message_reaction) {
+      const { chat, message_id: messageId, user, new_reaction: newReaction = [] } = update.message_reaction;
+      this.emit('reaction', {
+        msgId: { _serialized: TelegramTransport.messageKey(chat.id, messageId) },
+        reaction: newReaction.find(reaction => reaction.type === 'emoji')?.emoji || '',
+        senderId: String(user?.id || ''),
+        fromMe: false
+      });
+    }
+  }
+
+  wrapMessage(raw) {
+    const message = new TelegramMessage(this, raw);
+    this.wrapChat(raw.chat);
+
+    this.messages.delete(message.id._serialized);
+    this.messages.set(message.id._serialized, message);
+    if (this.messages.size > MAX_CACHED_MESSAGES) {
+      this.messages.delete(this.messages.keys().next().value);
+    }
+
+    return message;
+  }
+
+  wrapChat(raw) {
+    const chat = new TelegramChat(this, raw);
+    this.chats.set(chat.id._serialized, chat);
+    return chat;
+  }
+
+  async sendMessage(chatId, text, replyToMessageId = null) {
+    const sent = await this.call('sendMessage', {
+      chat_id: chatId,
+      text,
+      reply_to_message_id: replyToMessageId || undefined
+    });
+
+    return this.wrapMessage(sent);
+  }
+
+  async getMessageById(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  // The Bot API message has the text, sender and chat needed to handle it again
+  serializeMessage(message) {
+    return message.raw;
+  }
+
+  restoreMessage(data) {
+    return this.wrapMessage(data);
+  }
+
+  async getChatById(chatId) {
+    return this.chats.get(String(chatId)) || this.wrapChat(await this.call('getChat', { chat_id: chatId }));
+  }
+
+  // Only the chats the bot has seen since it started
+  async getChats() {
+    return [...this.chats.values()];
+  }
+
+  async sendFile(message, file) {
+    const { body, contentType } = this.multipart({
+      chat_id: message.raw.chat.id,
+      reply_to_message_id: message.raw.message_id
+    }, 'document', file);
+
+    const sent = await this.call('sendDocument', body, { headers: { 'Content-Type': contentType } });
+    return this.wrapMessage(sent);
+  }
+
+  // multipart/form-data body with the given fields and one file
+  multipart(fields, fileField, file) {
+    const boundary = `----secretary${Date.now().toString(16)}`;
+    const parts = Object.entries(fields).map(([name, value]) =>
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`)
+    );
+
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${fileField}"; filename="${file.filename}"\r\nContent-Type: ${file.mimetype}\r\n\r\n`));
+    parts.push(Buffer.from(file.data, 'base64'));
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+  }
+
+  async downloadFile(media) {
+    const file = await this.call('getFile', { file_id: media.file.file_id });
+    const response = await axios.get(`${this.fileUrl}/${file.file_path}`, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+
+    return {
+      data: Buffer.from(response.data).toString('base64'),
+      mimetype: media.mimetype,
+      filename: media.filename || file.file_path.split('/').pop()
+    };
+  }
+
+  senderId(message) {
+    return String(message.raw.from?.id || message.raw.chat.id);
+  }
+
+  senderName(message) {
+    const from = message.raw.from || {};
+    return [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || null;
+  }
+
+  attachment(message) {
+    const media = TelegramMessage.media(message.raw);
+    return media ? { mimetype: media.mimetype, filename: media.filename } : {};
+  }
+}
+
+module.exports = TelegramTransport;
@@ -0,0 +1,107 @@
+const EventEmitter = require('events');
+
+// Base class of the messaging transports the secretary runs on (WhatsApp,
+// Telegram, the terminal).
+//
+// A transport emits:
+// - 'ready'                                   once it can send and receive
+// - 'message' (message)                       for every new message, own ones included
+// - 'message_edit' (message, newBody, prevBody)
+// - 'message_revoke' (message, revokedMessage) when a message is deleted for everyone
+// - 'reaction' ({ msgId, reaction, senderId, fromMe }) for reactions on messages
+// - 'connection_state' (connection, previousState) whenever the connection
+//   state changes (see connectionState())
+//
+// Messages and chats follow the part of whatsapp-web.js's Message and Chat
+// the secretary uses, so WhatsApp objects are passed through as they are:
+// - message: id._serialized, body, fromMe, timestamp (seconds), hasMedia,
+//   type ('chat', 'ptt', 'audio', 'image' or 'document'), duration,
+//   hasQuotedMsg, reply(text) → sent message, getChat(), getQuotedMessage(),
+//   downloadMedia() → { data (base64), mimetype, filename }
+// - chat: id._serialized, id.user, name, isGroup, sendMessage(text)
+//
+// Who sent a message and what is attached differ per transport, so they are
+// asked through the transport rather than read from the message.
+class Transport extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.connection = { state: 'starting', since: new Date() };
+  }
+
+  // The connection as { state, since, ... }. States: starting, qr (waiting
+  // for a QR scan), connected, reconnecting and stopped. Transports add
+  // details such as the reason of the last disconnect.
+  connectionState() {
+    return { ...this.connection };
+  }
+
+  setConnectionState(state, details = {}) {
+    const previousState = this.connection.state;
+    this.connection = { ...this.connection, ...details, state, since: new Date() };
+    this.emit('connection_state', this.connectionState(), previousState);
+  }
+
+  async initialize() {
+    throw new Error(`${this.name} transport does not implement initialize()`);
+  }
+
+  async destroy() {}
+
+  // A message seen earlier, or null when it is no longer available
+  async getMessageById(messageId) {
+    return null;
+  }
+
+  // What the message queue stores to rebuild a message after a restart, for
+  // transports whose getMessageById() only knows messages seen in this run.
+  // Plain JSON, or null when getMessageById() can fetch old messages.
+  serializeMessage(message) {
+    return null;
+  }
+
+  // The message stored by serializeMessage(), or null
+  restoreMessage(data) {
+    return null;
+  }
+
+  async getChatById(chatId) {
+    return null;
+  }
+
+  async getChats() {
+    return [];
+  }
+
+  // Reply to a message with a file ({ data (base64), mimetype, filename })
+  async sendFile(message, file) {
+    throw new Error(`${this.name} transport cannot send files`);
+  }
+
+  // Sender ID as used in chats.json allowlists
+  senderId(message) {
+    return message.author || message.from;
+  }
+
+  // Display name of the sender, or null if unknown
+  senderName(message) {
+    return null;
+  }
+
+  // { mimetype, filename } of a document attached to the message
+  attachment(message) {
+    return {};
+  }
+
+  // Whether the chat is the secretary's own "message yourself" chat
+  isSelfChat(chat) {
+    return false;
+  }
+
+  // ID of that chat, if the transport has one
+  selfChatId() {
+    return null;
+  }
+}
+
+module.exports = Transport;
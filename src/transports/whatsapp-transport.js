@@ -0,0 +1,290 @@
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const qrcode = require('qrcode-terminal');
+const chalk = require('chalk');
+const config = require('../config');
+const Transport = require('./transport');
+
+// Failed health checks in a row before the session counts as dead
+const MAX_FAILED_HEALTH_CHECKS = 2;
+
+// WhatsApp through whatsapp-web.js. Its messages and chats are the ones the
+// transport interface is modelled on, so they are passed on unchanged.
+// options.client replaces the whatsapp-web.js client (e.g. with the fake one
+// in test/harness).
+//
+// A lost session is brought back by starting a fresh client, waiting longer
+// after each failed attempt. A browser page that stops answering while
+// WhatsApp still looks connected is treated the same way.
+class WhatsAppTransport extends Transport {
+  constructor(options = {}) {
+    super('WhatsApp');
+
+    this.createClient = options.client ? () => options.client : () => new Client({
+      authStrategy: new LocalAuth(),
+      puppeteer: {
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      }
+    });
+
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.healthTimer = null;
+    this.checkingHealth = false;
+    this.failedHealthChecks = 0;
+    this.outage = null;
+    this.stopped = false;
+
+    this.client = this.createClient();
+    this.setupEventHandlers();
+  }
+
+  setupEventHandlers() {
+    this.client.on('qr', (qr) => {
+      console.log(chalk.yellow('📱 Scan this QR code with WhatsApp:'));
+      qrcode.generate(qr, { small: true });
+
+      // Once linked, a QR code means the session was lost
+      if (this.outage) {
+        this.outage.neededQr = true;
+      }
+      this.setConnectionState('qr');
+    });
+
+    this.client.on('ready', () => this.handleReady());
+
+    this.client.on('authenticated', () => {
+      console.log(chalk.green('✅ WhatsApp authenticated successfully'));
+    });
+
+    this.client.on('auth_failure', (msg) => {
+      console.log(chalk.red('❌ Authentication failed:'), msg);
+      this.scheduleReconnect(`authentication failed: ${msg}`);
+    });
+
+    this.client.on('disconnected', (reason) => {
+      console.log(chalk.yellow('⚠️  WhatsApp disconnected:'), reason);
+      this.scheduleReconnect(reason === 'LOGOUT' ? 'logged out' : `disconnected: ${reason}`);
+    });
+
+    // Listen for ALL messages (including your own)
+    this.client.on('message_create', async (message) => {
+      // Debug: Log all incoming messages
+      try {
+        const chat = await message.getChat();
+        console.log(chalk.gray(`🔍 DEBUG: Message created`));
+        console.log(chalk.gray(`  - Chat type: ${chat.isGroup ? 'Group' : 'Private'}`));
+        console.log(chalk.gray(`  - Chat name: "${chat.name || 'N/A'}"`));
+        console.log(chalk.gray(`  - From me: ${message.fromMe}`));
+        console.log(chalk.gray(`  - Message: "${message.body.substring(0, 50)}..."`));
+
+        // Special highlight for your own messages
+        if (message.fromMe) {
+          console.log(chalk.green('🎯 THIS IS YOUR MESSAGE! Should be processed.'));
+        } else {
+          console.log(chalk.yellow('👥 This is from someone else, will be checked against the allowlist.'));
+        }
+      } catch (error) {
+        console.log(chalk.gray(`🔍 DEBUG: Error getting chat info: ${error.message}`));
+      }
+
+      this.emit('message', message);
+    });
+
+    this.client.on('message_edit', (message, newBody, prevBody) => {
+      console.log(chalk.gray(`🔍 DEBUG: Message edited: "${prevBody}" → "${newBody}"`));
+      this.emit('message_edit', message, newBody, prevBody);
+    });
+
+    this.client.on('message_revoke_everyone', (message, revokedMessage) => {
+      console.log(chalk.gray('🔍 DEBUG: Message deleted for everyone'));
+      this.emit('message_revoke', message, revokedMessage);
+    });
+
+    this.client.on('message_reaction', (reaction) => {
+      this.emit('reaction', {
+        msgId: reaction.msgId,
+        reaction: reaction.reaction,
+        senderId: reaction.senderId,
+        fromMe: !!reaction.id?.fromMe
+      });
+    });
+  }
+
+  async initialize() {
+    console.log(chalk.blue('🔧 Initializing WhatsApp client...'));
+    this.stopped = false;
+    await this.client.initialize();
+  }
+
+  async destroy() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.healthTimer);
+    this.reconnectTimer = null;
+    this.healthTimer = null;
+    this.setConnectionState('stopped');
+    await this.client.destroy();
+  }
+
+  // Connected (again). After an outage the connection state says what
+  // happened in `recovered`: { reason, downSince, attempts, neededQr }.
+  handleReady() {
+    const recovered = this.outage ? { ...this.outage, attempts: this.reconnectAttempts } : null;
+
+    if (recovered) {
+      console.log(chalk.green(`✅ WhatsApp reconnected after ${this.reconnectAttempts} attempt(s)`));
+    }
+
+    this.outage = null;
+    this.reconnectAttempts = 0;
+    this.failedHealthChecks = 0;
+    this.setConnectionState('connected', { recovered, reason: null, attempts: 0, nextAttemptAt: null });
+    this.startHealthChecks();
+    this.emit('ready');
+  }
+
+  // Start a fresh client after a wait that doubles with every attempt
+  scheduleReconnect(reason) {
+    if (this.stopped || this.reconnectTimer) {
+      return;
+    }
+
+    if (!this.outage) {
+      this.outage = { reason, downSince: new Date(), neededQr: false };
+    }
+
+    const { reconnectBaseSeconds, reconnectMaxSeconds } = config.connection;
+    const delaySeconds = Math.min(reconnectBaseSeconds * 2 ** this.reconnectAttempts, reconnectMaxSeconds);
+    this.reconnectAttempts++;
+
+    console.log(chalk.yellow(`🔄 Reconnecting to WhatsApp in ${delaySeconds}s (attempt ${this.reconnectAttempts}, ${reason})`));
+    this.setConnectionState('reconnecting', {
+      reason,
+      attempts: this.reconnectAttempts,
+      nextAttemptAt: new Date(Date.now() + delaySeconds * 1000)
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnect(reason);
+    }, delaySeconds * 1000);
+  }
+
+  async reconnect(reason) {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+
+    // The old client may be half dead; it only has to let go of the browser
+    try {
+      await this.client.destroy();
+    } catch (error) {
+      console.log(chalk.gray(`🔍 DEBUG: Error closing the old WhatsApp client: ${error.message}`));
+    }
+
+    if (this.stopped) {
+      return;
+    }
+
+    this.client.removeAllListeners();
+    this.client = this.createClient();
+    this.setupEventHandlers();
+
+    try {
+      console.log(chalk.blue('🔧 Reinitializing WhatsApp client...'));
+      await this.client.initialize();
+    } catch (error) {
+      console.log(chalk.red('❌ Reconnecting to WhatsApp failed:'), error.message);
+      this.scheduleReconnect(reason);
+    }
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), config.connection.healthCheckSeconds * 1000);
+  }
+
+  // Catch a "zombie" session: the browser page crashed or hangs without a
+  // disconnect being reported, so messages silently stop arriving
+  async checkHealth() {
+    if (this.checkingHealth || this.connection.state !== 'connected') {
+      return;
+    }
+
+    this.checkingHealth = true;
+
+    try {
+      if (this.client.pupPage?.isClosed()) {
+        throw new Error('browser page closed');
+      }
+
+      const state = await this.withTimeout(this.client.getState(), config.connection.healthCheckTimeoutSeconds * 1000);
+      if (state !== 'CONNECTED') {
+        throw new Error(`state is ${state}`);
+      }
+
+      this.failedHealthChecks = 0;
+      this.connection.lastHealthCheck = new Date();
+
+    } catch (error) {
+      this.failedHealthChecks++;
+      console.log(chalk.yellow(`⚠️  WhatsApp health check failed (${this.failedHealthChecks}/${MAX_FAILED_HEALTH_CHECKS}):`), error.message);
+
+      if (this.failedHealthChecks >= MAX_FAILED_HEALTH_CHECKS) {
+        this.failedHealthChecks = 0;
+        this.scheduleReconnect(`unresponsive: ${error.message}`);
+      }
+    } finally {
+      this.checkingHealth = false;
+    }
+  }
+
+  withTimeout(promise, timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async getMessageById(messageId) {
+    return await this.client.getMessageById(messageId);
+  }
+
+  async getChatById(chatId) {
+    return await this.client.getChatById(chatId);
+  }
+
+  async getChats() {
+    return await this.client.getChats();
+  }
+
+  async sendFile(message, file) {
+    const media = new MessageMedia(file.mimetype, file.data, file.filename);
+    return await message.reply(media, undefined, { sendMediaAsDocument: true });
+  }
+
+  senderName(message) {
+    return message._data?.notifyName || null;
+  }
+
+  attachment(message) {
+    const { mimetype, filename } = message._data || {};
+    return { mimetype, filename };
+  }
+
+  // My "message yourself" chat is the one with my own number
+  isSelfChat(chat) {
+    return !!(this.client.info && chat.id?.user === this.client.info.wid.user);
+  }
+
+  selfChatId() {
+    return this.client.info?.wid?._serialized || null;
+  }
+}
+
+module.exports = WhatsAppTransport;
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+
+// Minimal iCalendar (RFC 5545) support: enough to read the invites people
+// forward from Google, Outlook and Apple Calendar.
+
+// Windows time zone names Outlook puts in TZID, for the zones we see most
+const WINDOWS_TIMEZONES = {
+  'Israel Standard Time': 'Asia/Jerusalem',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'UTC': 'UTC'
+};
+
+// Join folded lines (a line break followed by a space or tab continues the line)
+function unfold(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim());
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+// Split a content line into name, parameters and value. Colons and
+// semicolons inside quoted parameter values are not separators.
+function parseLine(line) {
+  let inQuotes = false;
+  let valueStart = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      valueStart = i;
+      break;
+    }
+  }
+
+  if (valueStart === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, valueStart).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: (name || '').toUpperCase(),
+    params,
+    value: line.slice(valueStart + 1),
+    raw: line
+  };
+}
+
+// Parse an .ics file into its VEVENTs. Each event maps property names to
+// lists of { params, value, raw } since properties like ATTENDEE repeat.
+function parseICS(text) {
+  const events = [];
+  const stack = [];
+  let calendarTimezone = null;
+  let current = null;
+
+  unfold(text).forEach(line => {
+    const property = parseLine(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (property.name === 'X-WR-TIMEZONE' && stack[stack.length - 1] === 'VCALENDAR') {
+      calendarTimezone = property.value;
+    }
+
+    // Only the event's own properties; nested VALARMs are ignored
+    if (current && stack[stack.length - 1] === 'VEVENT') {
+      (current[property.name] = current[property.name] || []).push(property);
+    }
+  });
+
+  return { events, timezone: calendarTimezone };
+}
+
+function resolveTimezone(tzid, fallback) {
+  if (!tzid) {
+    return fallback;
+  }
+
+  const name = WINDOWS_TIMEZONES[tzid] || tzid.replace(/^\/+/, '');
+  return moment.tz.zone(name) ? name : fallback;
+}
+
+// Convert DTSTART/DTEND into a Google Calendar start/end object
+function toGoogleDateTime(property, defaultTimezone) {
+  const { params, value } = property;
+
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { date: moment(value, 'YYYYMMDD').format('YYYY-MM-DD') };
+  }
+
+  const timeZone = resolveTimezone(params.TZID, defaultTimezone);
+
+  if (value.endsWith('Z')) {
+    return {
+      dateTime: moment.utc(value, 'YYYYMMDDTHHmmss[Z]').toISOString(),
+      timeZone
+    };
+  }
+
+  // Local (TZID) or floating time
+  return {
+    dateTime: moment.tz(value, 'YYYYMMDDTHHmmss', timeZone).format(),
+    timeZone
+  };
+}
+
+// Add an ISO 8601 DURATION (e.g. PT1H30M, P1D) to a start object
+function addDuration(start, duration) {
+  const parsed = moment.duration(duration);
+
+  if (start.date) {
+    return { date: moment(start.date).add(parsed).format('YYYY-MM-DD') };
+  }
+
+  return {
+    dateTime: moment.parseZone(start.dateTime).add(parsed).format(),
+    timeZone: start.timeZone
+  };
+}
+
+function first(event, name) {
+  return event[name]?.[0] || null;
+}
+
+function textOf(event, name) {
+  const property = first(event, name);
+  return property ? unescapeText(property.value) : undefined;
+}
+
+function parsePerson(property) {
+  const email = property.value.replace(/^mailto:/i, '');
+  return {
+    email,
+    ...(property.params.CN ? { displayName: property.params.CN } : {})
+  };
+}
+
+// Convert a parsed VEVENT into a Google Calendar event resource. Times
+// without a known time zone use the calendar's time zone.
+function toGoogleEvent(event, defaultTimezone) {
+  const dtstart = first(event, 'DTSTART');
+  if (!dtstart) {
+    throw new Error('Event has no DTSTART');
+  }
+
+  const start = toGoogleDateTime(dtstart, defaultTimezone);
+  let end;
+  if (first(event, 'DTEND')) {
+    end = toGoogleDateTime(first(event, 'DTEND'), defaultTimezone);
+  } else if (first(event, 'DURATION')) {
+    end = addDuration(start, first(event, 'DURATION').value);
+  } else {
+    // All-day events last one day, timed events without an end are instants
+    end = start.date ? addDuration(start, 'P1D') : { ...start };
+  }
+
+  const summary = textOf(event, 'SUMMARY') || 'Untitled event';
+  const resource = {
+    iCalUID: textOf(event, 'UID') || generateUid(summary, dtstart.value),
+    summary,
+    start,
+    end
+  };
+
+  const description = textOf(event, 'DESCRIPTION');
+  const location = textOf(event, 'LOCATION');
+  if (description) {
+    resource.description = description;
+  }
+  if (location) {
+    resource.location = location;
+  }
+
+  // Recurrence lines are passed to Google as they are in the file
+  const recurrence = ['RRULE', 'EXRULE', 'RDATE', 'EXDATE']
+    .flatMap(name => (event[name] || []).map(property => property.raw));
+  if (recurrence.length > 0) {
+    resource.recurrence = recurrence;
+  }
+
+  const attendees = (event.ATTENDEE || []).map(parsePerson).filter(person => person.email.includes('@'));
+  if (attendees.length > 0) {
+    resource.attendees = attendees;
+  }
+
+  if (first(event, 'ORGANIZER')) {
+    resource.organizer = parsePerson(first(event, 'ORGANIZER'));
+  }
+
+  return resource;
+}
+
+// Events without a UID still need a stable one so re-imports are detected
+function generateUid(summary, dtstart) {
+  const hash = crypto.createHash('sha1').update(`${summary}|${dtstart}`).digest('hex').slice(0, 16);
+  return `${hash}@whatsapp-secretary`;
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets, as RFC 5545 requires
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// DTSTART/DTEND parameters and value for a Google Calendar start/end object
+function formatDateTime(googleDateTime) {
+  if (googleDateTime.date) {
+    return `;VALUE=DATE:${moment(googleDateTime.date).format('YYYYMMDD')}`;
+  }
+
+  return `:${moment.utc(googleDateTime.dateTime).format('YYYYMMDD[T]HHmmss[Z]')}`;
+}
+
+// Build an .ics file from Google Calendar events so they can be added to
+// any calendar app
+function buildICS(events, options = {}) {
+  const stamp = moment.utc().format('YYYYMMDD[T]HHmmss[Z]');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WhatsApp Secretary//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  events.forEach(event => {
+    // Occurrences of a recurring event share its iCalUID, so they need their own
+    const uid = event.recurringEventId || !event.iCalUID ? `${event.id}@google.com` : event.iCalUID;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART${formatDateTime(event.start)}`,
+      `DTEND${formatDateTime(event.end || event.start)}`,
+      `SUMMARY:${escapeText(event.summary || 'Untitled event')}`
+    );
+
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.htmlLink) {
+      lines.push(`URL:${event.htmlLink}`);
+    }
+    (event.recurrence || []).forEach(rule => lines.push(rule));
+
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseICS,
+  toGoogleEvent,
+  buildICS,
+  unescapeText
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const config = require('../config');
+
+// A JSON file in the data directory. Writes go to a temporary file first
+// so a crash never leaves a half-written file behind.
+class JsonStore {
+  constructor(fileName, defaultValue, dataDir = config.storage.dataDir) {
+    this.filePath = path.join(dataDir, fileName);
+    this.defaultValue = defaultValue;
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this.copyDefault();
+      }
+
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not read ${this.filePath}: ${error.message}`));
+      return this.copyDefault();
+    }
+  }
+
+  save(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  copyDefault() {
+    return JSON.parse(JSON.stringify(this.defaultValue));
+  }
+}
+
+module.exports = JsonStore;
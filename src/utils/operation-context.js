@@ -0,0 +1,35 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Which chat, sender and WhatsApp message a calendar operation is done for.
+// Set around message processing so calendar mutations can be attributed
+// without passing the context through every tool handler.
+const storage = new AsyncLocalStorage();
+
+function runWithOperationContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getOperationContext() {
+  return storage.getStore() || {};
+}
+
+// Remember the events a message created, changed or queried (e.g. to send
+// them back as an .ics file), or the IDs of events it would have created
+// twice. Ignored outside message processing.
+function noteEvents(kind, events) {
+  const store = storage.getStore();
+  if (store?.events) {
+    store.events[kind] = (store.events[kind] || []).concat(events);
+  }
+}
+
+// Remember the journal entries recorded for the message, so a reply can be
+// linked to exactly the operations it describes
+function noteJournalEntry(entryId) {
+  const store = storage.getStore();
+  if (store) {
+    store.journalEntryIds = (store.journalEntryIds || []).concat(entryId);
+  }
+}
+
+module.exports = { runWithOperationContext, getOperationContext, noteEvents, noteJournalEntry };
@@ -0,0 +1,25 @@
+// Errors worth trying again later: rate limits, server errors and network
+// failures of the Google and OpenAI APIs. Anything else (bad request, no
+// access, event not found) fails the same way every time.
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const CONNECTION_ERRORS = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const status = error.status || error.response?.status || (typeof error.code === 'number' ? error.code : null);
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_CODES.includes(error.cause?.code)) {
+    return true;
+  }
+
+  return CONNECTION_ERRORS.includes(error.constructor?.name);
+}
+
+module.exports = { isTransientError };
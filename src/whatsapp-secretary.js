@@ -1,5 +1,4 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
+const moment = require('moment-timezone');
 const pLimit = require('p-limit');
 const chalk = require('chalk');
 const config = require('./config');
@@ -8,50 +7,149 @@ const MCPLLMService = require('./services/mcp-llm-service');
 const GPT4MCPBridge = require('./services/gpt4-mcp-bridge');
 const CalendarService = require('./services/calendar-service');
 const CalendarMCPServer = require('./mcp/calendar-server');
+const ChatRegistry = require('./services/chat-registry');
+const ConversationMemory = require('./services/conversation-memory');
+const PendingActionStore = require('./services/pending-actions');
+const ConfirmationPolicy = require('./services/confirmation-policy');
+const OperationJournal = require('./services/operation-journal');
+const UndoService = require('./services/undo-service');
+const TranscriptionService = require('./services/transcription-service');
+const ImageTextService = require('./services/image-text-service');
+const IcsImportService = require('./services/ics-import-service');
+const ReplyRegistry = require('./services/reply-registry');
+const MessageQueue = require('./services/message-queue');
+const IdempotencyStore = require('./services/idempotency-store');
+const DigestService = require('./services/digest-service');
+const ReminderService = require('./services/reminder-service');
+const WeeklySummaryService = require('./services/weekly-summary-service');
+const CommandRouter = require('./services/command-router');
+const StatusServer = require('./services/status-server');
+const { ROLES, resolvePermissions } = require('./services/permissions');
+const { createTransport } = require('./transports');
 const debug = require('./utils/debug');
+const { runWithOperationContext, getOperationContext } = require('./utils/operation-context');
+const { buildICS } = require('./utils/ics');
+const { isTransientError } = require('./utils/transient-error');
 
+// Most events sent back in one .ics file
+const MAX_ICS_EVENTS = 50;
+
+// Most recently sent message IDs remembered to recognise the secretary's own messages
+const MAX_SENT_MESSAGE_IDS = 1000;
+
+// How long /healthz reuses the calendar and LLM checks, so a monitor
+// polling every few seconds doesn't call Google and the LLM each time
+const SERVICE_CHECK_CACHE_MS = 30 * 1000;
+
+// Title prefix of events whose source message was deleted for everyone
+const REVOKED_PREFIX = '⚠️ [message deleted] ';
+
+// What a reaction on one of the secretary's replies does (without skin tone
+// or emoji presentation modifiers)
+const REACTION_ACTIONS = {
+  '👍': 'confirm',
+  '❌': 'cancel',
+  '↩': 'undo'
+};
+
+// Options replace the parts that talk to the outside world (the transport,
+// calendar, OpenAI client, Ollama fallback and chats), e.g. for the offline
+// test harness in test/harness
 class WhatsAppSecretary {
-  constructor() {
-    this.client = new Client({
-      authStrategy: new LocalAuth(),
-      puppeteer: { 
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      }
-    });
+  constructor(options = {}) {
+    // WhatsApp, Telegram or the terminal (TRANSPORT)
+    this.transport = options.transport || createTransport();
+    
+    // Every calendar change is journaled so it can be undone
+    this.journal = new OperationJournal();
+    this.undoService = new UndoService(this.journal);
+    
+    // Processed message IDs and fingerprints of recently created events,
+    // so a message delivered twice is handled once and events are not doubled
+    this.idempotency = new IdempotencyStore();
+    this.calendarService = options.calendarService || new CalendarService();
+    this.calendarService.journal = this.journal;
+    this.calendarService.idempotency = this.idempotency;
+    
+    // Monitored chats and their per-chat calendar/LLM pipelines
+    this.chatRegistry = new ChatRegistry(options.chats);
+    this.chatContexts = new Map();
+    
+    // Recent conversation per chat, shared by the LLM pipelines
+    this.conversationMemory = new ConversationMemory();
     
-    this.calendarService = new CalendarService();
+    // Clarifying questions and confirmations waiting for an answer, per chat and sender
+    this.pendingActions = new PendingActionStore();
+    
+    // Which request each reply answered, for reactions on replies
+    this.replyRegistry = new ReplyRegistry();
+    
+    // Messages the secretary sent (and sends still under way). They come back
+    // as my own messages, and e.g. an .ics file must not be imported again.
+    this.sentMessageIds = new Set();
+    this.sendsInFlight = new Set();
+    
+    // Unauthorized senders already told they lack permission, as "chat:sender".
+    // Kept in memory only, so after a restart a sender may be told once more.
+    this.notifiedSenders = new Set();
+    
+    // Which destructive operations must be confirmed before they run
+    this.confirmationPolicy = new ConfirmationPolicy();
+    
+    // /help, /stats, /next ... answered without the LLM; /pause state per chat
+    this.commandRouter = new CommandRouter();
     
     // Choose LLM service based on configuration
-    if (config.openai.enabled && config.openai.apiKey) {
-      console.log(chalk.blue('🤖 Using GPT-4 MCP Bridge'));
-      this.llmService = new GPT4MCPBridge(this.calendarService);
-      this.usingGPT4 = true;
-    } else {
-      console.log(chalk.blue('🤖 Using Ollama MCP Service'));
-      // Initialize local MCP components
-      this.mcpServer = new CalendarMCPServer(this.calendarService);
-      this.llmService = new MCPLLMService();
-      this.usingGPT4 = false;
-    }
+    this.openai = options.openai || null;
+    this.usingGPT4 = !!(this.openai || (config.openai.enabled && config.openai.apiKey));
+    console.log(chalk.blue(this.usingGPT4 ? '🤖 Using GPT-4 MCP Bridge' : '🤖 Using Ollama MCP Service'));
     
     // Keep fallback LLM service
-    this.fallbackLLMService = new LLMService();
+    this.fallbackLLMService = options.fallbackLLMService || new LLMService();
+    
+    // Speech-to-text for voice notes
+    this.transcriptionService = new TranscriptionService();
+    
+    // OCR / vision for photos of invitations and flyers
+    this.imageTextService = new ImageTextService();
+    
+    // Forwarded .ics invites
+    this.icsImportService = new IcsImportService();
     
     // Rate limiting for calendar operations
     this.calendarLimit = pLimit(config.processing.maxConcurrentCalendarOps);
     
-    // Track recent events to prevent duplicates
-    this.recentEvents = new Map();
+    // Messages are persisted until processed, and replayed after a crash
+    this.messageQueue = new MessageQueue();
+    this.queueReplayed = false;
+    
+    // Daily agenda digest and weekly summary, checked every minute once WhatsApp is ready
+    this.digestService = new DigestService();
+    this.weeklySummaryService = new WeeklySummaryService();
+    this.digestTimer = null;
+    this.postingDigests = false;
+    
+    // Reminders before events start, polled every REMINDER_POLL_SECONDS
+    this.reminderService = new ReminderService();
+    this.reminderTimer = null;
+    this.checkingReminders = false;
     
     // Statistics
     this.stats = {
       messagesProcessed: 0,
       eventsDetected: 0,
       eventsCreated: 0,
+      voiceNotesTranscribed: 0,
+      imagesRead: 0,
       duplicatesSkipped: 0,
       errorsEncountered: 0
     };
+    this.startedAt = new Date();
+    this.lastError = null;
+    
+    // /healthz and /status over HTTP (STATUS_SERVER_ENABLED)
+    this.statusServer = config.statusServer.enabled ? new StatusServer(this) : null;
+    this.serviceChecks = null;
     
     this.setupEventHandlers();
   }
@@ -60,151 +158,1090 @@ class WhatsAppSecretary {
     console.log(chalk.blue.bold('🚀 Starting WhatsApp Secretary...'));
     
     try {
-      // Check Ollama connection using fallback service
-      const ollamaReady = await this.fallbackLLMService.checkOllamaConnection();
-      if (!ollamaReady) {
-        console.log(chalk.red('❌ Ollama not ready. Please check setup instructions.'));
-        return false;
+      // Check Ollama connection using fallback service
+      const ollamaReady = await this.fallbackLLMService.checkOllamaConnection();
+      if (!ollamaReady) {
+        console.log(chalk.red('❌ Ollama not ready. Please check setup instructions.'));
+        return false;
+      }
+      
+      // Initialize Google Calendar
+      const calendarReady = await this.calendarService.initialize();
+      if (!calendarReady) {
+        console.log(chalk.red('❌ Google Calendar not ready. Please check credentials.'));
+        return false;
+      }
+      
+      // Initialize the LLM pipeline for every configured chat
+      for (const chatSettings of this.chatRegistry.list()) {
+        await this.getChatContext(chatSettings);
+      }
+      
+      // Monitors can see the secretary while it is still connecting
+      await this.startStatusServer();
+      
+      // Start receiving messages
+      await this.transport.initialize();
+      
+      return true;
+      
+    } catch (error) {
+      console.log(chalk.red('❌ Initialization failed:'), error.message);
+      return false;
+    }
+  }
+
+  // Build (once) the calendar service and LLM pipeline for a monitored chat
+  async getChatContext(chatSettings) {
+    const key = chatSettings.id || chatSettings.name;
+    
+    if (this.chatContexts.has(key)) {
+      return this.chatContexts.get(key);
+    }
+    
+    const calendarService = this.calendarService.forChat(chatSettings);
+    const context = { key, settings: chatSettings, calendarService };
+    const options = { memory: this.conversationMemory, confirmationPolicy: this.confirmationPolicy, openai: this.openai };
+    
+    if (this.usingGPT4) {
+      context.llmService = new GPT4MCPBridge(calendarService, options);
+      console.log(chalk.green(`✅ GPT-4 MCP Bridge ready for "${chatSettings.name}"`));
+    } else {
+      // Initialize local MCP Server for Ollama
+      console.log(chalk.blue(`🔧 Initializing local MCP Server for "${chatSettings.name}"...`));
+      context.mcpServer = new CalendarMCPServer(calendarService);
+      context.llmService = new MCPLLMService(options);
+      await context.mcpServer.connect();
+      context.llmService.setMCPServer(context.mcpServer);
+      console.log(chalk.green('✅ Local MCP Server initialized successfully'));
+    }
+    
+    this.chatContexts.set(key, context);
+    return context;
+  }
+
+  setupEventHandlers() {
+    this.transport.on('ready', () => {
+      console.log(chalk.green.bold(`✅ WhatsApp Secretary is ready on ${this.transport.name}!`));
+      this.chatRegistry.list().forEach(chatSettings => {
+        console.log(chalk.blue(`🎯 Monitoring group: "${chatSettings.name}" → ${chatSettings.calendarId} (${chatSettings.timezone})`));
+      });
+      if (this.chatRegistry.privateChatsEnabled()) {
+        console.log(chalk.blue('💬 Private chat mode enabled'));
+      }
+      console.log(chalk.blue(`🤖 Using LLM model: ${config.llm.model}`));
+      console.log(chalk.gray('📊 Press Ctrl+C to stop and see statistics\n'));
+      
+      // 'ready' comes again after every reconnect. Only the first time are
+      // queued messages left over from the last run; later ones are still
+      // being processed or waiting for their retry. The schedulers start once.
+      if (!this.queueReplayed) {
+        this.queueReplayed = true;
+        this.replayQueue();
+      }
+      this.startDigestScheduler();
+      this.startReminderScheduler();
+    });
+
+    // All messages, including my own
+    this.transport.on('message', async (message) => {
+      await this.handleMessage(message);
+    });
+
+    // Edited messages update the events created from the original text
+    this.transport.on('message_edit', async (message, newBody, prevBody) => {
+      await this.handleMessage(message, { newBody, prevBody });
+    });
+
+    // Messages deleted for everyone take the events they created with them
+    this.transport.on('message_revoke', async (message, revokedMessage) => {
+      await this.handleRevokedMessage(message, revokedMessage);
+    });
+
+    // Reactions on the secretary's replies confirm, cancel or undo
+    this.transport.on('reaction', async (reaction) => {
+      await this.handleReaction(reaction);
+    });
+
+    // Reconnects, QR scans and recoveries are reported to the admin chat
+    this.transport.on('connection_state', async (connection, previousState) => {
+      await this.handleConnectionState(connection, previousState);
+    });
+  }
+
+  // Handle a new message, or an edit of an earlier one ({ newBody, prevBody }).
+  // Returns whether the message was queued for processing.
+  async handleMessage(message, edit = null, retry = false) {
+    try {
+      // WhatsApp can deliver the same message again (e.g. after a reconnect);
+      // each message is processed at most once
+      const key = this.messageQueue.key(message.id._serialized, edit);
+      if (this.idempotency.hasProcessed(key) || (!retry && this.messageQueue.has(key))) {
+        console.log(chalk.gray(`⏭️  Skipping message ${key}: already ${this.messageQueue.has(key) ? 'queued' : 'processed'}`));
+        return false;
+      }
+      
+      if (await this.isSentBySecretary(message)) {
+        console.log(chalk.gray('🔄 Skipping a message the secretary sent'));
+        return false;
+      }
+      
+      // Retries and replays were already counted
+      if (!retry) {
+        this.stats.messagesProcessed++;
+      }
+      
+      const chat = await message.getChat();
+      const body = edit ? edit.newBody : message.body;
+      
+      console.log(chalk.cyan(`\n${edit ? '✏️  Edited' : '📝 New'} message in ${chat.name}:`));
+      console.log(chalk.gray(`From: ${this.transport.senderName(message) || 'Unknown'}`));
+      console.log(chalk.gray(`Message: ${body.substring(0, 100)}${body.length > 100 ? '...' : ''}`));
+      
+      // Only process messages from monitored groups (and private chats, if enabled)
+      const chatSettings = this.chatRegistry.resolve(chat);
+      if (!chatSettings) {
+        return false;
+      }
+
+      // In private chats my own messages only count in my "message yourself" chat;
+      // everywhere else they are my personal conversations
+      if (chatSettings.private && message.fromMe && !this.transport.isSelfChat(chat)) {
+        return false;
+      }
+
+      // Skip messages that start with "Agent Response:" to avoid infinite loops
+      if (body.startsWith('Agent Response:')) {
+        console.log(chalk.gray('🔄 Skipping agent response to avoid infinite loop'));
+        return false;
+      }
+
+      // Only process messages from me or from senders on the chat's allowlist
+      const senderId = this.transport.senderId(message);
+      const permissions = resolvePermissions(chatSettings, senderId, message.fromMe);
+      if (!permissions) {
+        console.log(chalk.yellow(`⏭️  Skipping: ${senderId} is not an authorized sender`));
+        
+        const notifiedKey = `${chatSettings.id || chatSettings.name}:${senderId}`;
+        if (chatSettings.notifyUnauthorized && !this.notifiedSenders.has(notifiedKey)) {
+          this.notifiedSenders.add(notifiedKey);
+          await this.reply(message, `Sorry, you don't have permission to manage this calendar. Please ask the calendar owner to add you.`);
+        }
+        return false;
+      }
+
+      const chatContext = await this.getChatContext(chatSettings);
+      
+      // Persist the message before processing so a crash does not lose it
+      const item = this.messageQueue.enqueue(message, edit, this.transport.serializeMessage(message));
+      
+      // Use rate limiting for processing
+      this.calendarLimit(() => this.processQueuedMessage(item, message, chatContext, permissions, edit));
+      return true;
+
+    } catch (error) {
+      this.recordError('handling message', error);
+      console.log(chalk.red('❌ Error handling message:'), error.message);
+      return false;
+    }
+  }
+
+  // Process a queued message; on failure it is retried with backoff
+  async processQueuedMessage(item, message, chatContext, permissions, edit) {
+    // Calendar changes made while processing are attributed to this message
+    const operationContext = {
+      chatId: chatContext.key,
+      senderId: permissions.senderId,
+      messageId: message.id?._serialized,
+      events: {}
+    };
+    
+    try {
+      this.messageQueue.markProcessing(item);
+      
+      await runWithOperationContext(operationContext, async () => {
+        if (edit) {
+          await this.processEditedMessage(message, chatContext, permissions, edit);
+          return;
+        }
+
+        // A paused chat only answers slash commands (e.g. /resume): skip
+        // before any file import, transcription or OCR
+        const isCommand = !message.hasMedia && !!this.commandRouter.parse(message.body);
+        if (this.commandRouter.isPaused(chatContext.key) && !isCommand) {
+          console.log(chalk.gray(`⏸️  Skipping: the secretary is paused in "${chatContext.settings.name}"\n`));
+          return;
+        }
+
+        if (this.isCalendarFile(message)) {
+          await this.importCalendarFile(message, chatContext, permissions);
+          return;
+        }
+        
+        const input = await this.getMessageInput(message);
+        if (input) {
+          const quotedText = await this.getQuotedContext(message, chatContext);
+          if (quotedText) {
+            input.context = { ...input.context, quotedText };
+          }
+          
+          await this.processMessage(message, chatContext, permissions, input.text, input.context);
+          await this.sendCalendarFile(message, chatContext, operationContext.events);
+        }
+      });
+      
+      this.idempotency.markProcessed(item.key);
+      this.messageQueue.complete(item);
+      
+    } catch (error) {
+      const retryIn = this.messageQueue.fail(item, error);
+      
+      if (retryIn === null) {
+        this.idempotency.markProcessed(item.key);
+        console.log(chalk.red(`❌ Giving up on message after ${item.attempts} attempt(s):`), error.message);
+        return;
+      }
+      
+      console.log(chalk.yellow(`🔁 Message failed (${error.message}), retrying in ${Math.round(retryIn / 1000)}s (attempt ${item.attempts + 1}/${this.messageQueue.maxAttempts})`));
+      setTimeout(() => this.retryQueuedMessage(item.key), retryIn);
+    } finally {
+      this.stats.duplicatesSkipped += (operationContext.events.duplicates || []).length;
+    }
+  }
+
+  // Run a queued message again, fetching it by its ID or rebuilding it from
+  // the snapshot the queue kept of it
+  async retryQueuedMessage(key) {
+    const item = this.messageQueue.get(key);
+    if (!item) {
+      return;
+    }
+    
+    try {
+      const message = await this.transport.getMessageById(item.messageId) ||
+        (item.snapshot && this.transport.restoreMessage(item.snapshot));
+      if (!message) {
+        throw new Error('message no longer exists');
+      }
+      
+      // Messages that would no longer be processed leave the queue
+      if (!await this.handleMessage(message, item.edit, true)) {
+        this.messageQueue.remove(key);
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⏭️  Dropping queued message ${item.messageId}: ${error.message}`));
+      this.messageQueue.remove(key);
+    }
+  }
+
+  // Process messages left unfinished by the last run (crash or shutdown)
+  async replayQueue() {
+    const items = this.messageQueue.takeUnfinished();
+    if (items.length === 0) {
+      return;
+    }
+    
+    console.log(chalk.blue(`♻️  Replaying ${items.length} unfinished message(s)...`));
+    for (const item of items) {
+      await this.retryQueuedMessage(item.key);
+    }
+  }
+
+  isVoiceNote(message) {
+    return message.hasMedia && (message.type === 'ptt' || message.type === 'audio');
+  }
+
+  isCalendarFile(message) {
+    const { mimetype, filename } = this.transport.attachment(message);
+    return message.hasMedia && message.type === 'document' && this.icsImportService.isCalendarFile(mimetype, filename);
+  }
+
+  // Import the events of a forwarded .ics invite into the chat's calendar
+  async importCalendarFile(message, chatContext, permissions) {
+    if (!permissions.can(ROLES.CREATE)) {
+      console.log(chalk.gray('ℹ️  Calendar file skipped: sender cannot create events\n'));
+      return;
+    }
+    
+    try {
+      const media = await message.downloadMedia();
+      if (!media) {
+        throw new Error('Calendar file could not be downloaded');
+      }
+      
+      const icsText = Buffer.from(media.data, 'base64').toString('utf8');
+      const result = await this.icsImportService.importFile(chatContext.calendarService, icsText);
+      
+      this.stats.eventsDetected += result.imported.length + result.failed.length;
+      this.stats.eventsCreated += result.imported.length;
+      this.stats.duplicatesSkipped += result.skipped.length;
+      
+      const summary = this.icsImportService.formatSummary(result, media.filename, chatContext.calendarService.timezone);
+      console.log(chalk.green.bold('✅ Calendar file imported!'));
+      console.log(chalk.blue(`📋 ${summary}\n`));
+      await this.reply(message, summary);
+      
+    } catch (error) {
+      this.recordError('calendar file import', error);
+      console.log(chalk.red('❌ Calendar file import failed:'), error.message);
+      // Retried by the message queue; events imported so far are skipped then
+      if (isTransientError(error)) {
+        throw error;
+      }
+      await this.reply(message, `Sorry, I couldn't read that calendar file.`);
+    }
+  }
+
+  // An edited message updates the events created from the original text
+  // instead of adding new ones. Edits of messages that created nothing are
+  // processed like new messages.
+  async processEditedMessage(message, chatContext, permissions, edit) {
+    const { calendarService } = chatContext;
+    const entries = this.journal.createdBy(message.id?._serialized);
+    const events = await this.getCurrentEvents(calendarService, entries);
+    
+    if (events.length === 0) {
+      await this.processMessage(message, chatContext, permissions, edit.newBody);
+      return;
+    }
+    
+    console.log(chalk.blue(`✏️  Syncing ${events.length} event(s) created from the original message`));
+    
+    const eventList = events.map(event => {
+      const start = moment(event.start?.dateTime || event.start?.date).tz(calendarService.timezone).format('YYYY-MM-DD HH:mm');
+      return `- "${event.summary}" at ${start} (event ID: ${event.id})`;
+    }).join('\n');
+    
+    const text = [
+      'I edited my earlier message.',
+      `Before: "${edit.prevBody}"`,
+      `Now: "${edit.newBody}"`,
+      `That message created these events:\n${eventList}`,
+      'Update these events, using their event IDs, so they match the edited message. Do not create new events. If the edited message no longer describes an event, delete them.'
+    ].join('\n\n');
+    
+    await this.processMessage(message, chatContext, permissions, text);
+  }
+
+  // The message being replied to, so "add this" or "cancel that" know what
+  // "this" is. Events created from the quoted message - or reported by the
+  // secretary's quoted reply - are listed with their IDs.
+  async getQuotedContext(message, chatContext) {
+    if (!message.hasQuotedMsg) {
+      return null;
+    }
+    
+    try {
+      const quoted = await message.getQuotedMessage();
+      if (!quoted) {
+        return null;
+      }
+      
+      const quotedId = quoted.id?._serialized;
+      const fromSecretary = quoted.body.startsWith('Agent Response:');
+      const author = fromSecretary ? 'the secretary' : (this.transport.senderName(quoted) || this.transport.senderId(quoted));
+      const entries = fromSecretary
+        ? this.journal.findByIds(this.replyRegistry.get(quotedId)?.entryIds || [])
+        : this.journal.createdBy(quotedId);
+      
+      const lines = [
+        `QUOTED MESSAGE (from ${author}):`,
+        `"${quoted.body.replace(/^Agent Response:\s*/, '')}"`
+      ];
+      
+      const events = await this.getCurrentEvents(chatContext.calendarService, entries);
+      if (events.length > 0) {
+        lines.push('Events it refers to:');
+        events.forEach(event => {
+          const start = moment(event.start?.dateTime || event.start?.date).tz(chatContext.calendarService.timezone).format('YYYY-MM-DD HH:mm');
+          lines.push(`- "${event.summary}" on ${start} (event ID: ${event.id})`);
+        });
+      }
+      
+      console.log(chalk.gray(`💬 Replying to: "${quoted.body.substring(0, 50)}" (${events.length} event(s))`));
+      return lines.join('\n');
+      
+    } catch (error) {
+      console.log(chalk.gray(`ℹ️  Could not read quoted message: ${error.message}`));
+      return null;
+    }
+  }
+
+  // The events behind journal entries as they are now; deleted ones are left out
+  async getCurrentEvents(calendarService, entries) {
+    const eventIds = [...new Set(entries.filter(entry => !entry.undone).map(entry => entry.eventId))];
+    const events = [];
+    
+    for (const eventId of eventIds) {
+      try {
+        const event = await calendarService.getEvent(eventId);
+        if (event.status !== 'cancelled') {
+          events.push(event);
+        }
+      } catch (error) {
+        // Gone since
+      }
+    }
+    
+    return events;
+  }
+
+  // Send the events a message created - or, for questions, the events it
+  // found - as an .ics file anyone can add to their own calendar app
+  async sendCalendarFile(message, chatContext, events) {
+    const { settings, calendarService } = chatContext;
+    const mode = settings.icsAttachments;
+    const created = events.created || [];
+    
+    // Lookups made on the way to a change are not worth sending
+    const queried = created.length === 0 && !events.changed ? events.queried || [] : [];
+    
+    let selected = [];
+    if (mode === 'created' || mode === 'all') {
+      selected = created;
+    }
+    if (selected.length === 0 && (mode === 'queried' || mode === 'all')) {
+      selected = queried;
+    }
+    
+    selected = selected
+      .filter((event, index) => selected.findIndex(other => other.id === event.id) === index)
+      .slice(0, MAX_ICS_EVENTS);
+    
+    if (selected.length === 0) {
+      return;
+    }
+    
+    try {
+      const ics = buildICS(selected, { name: settings.name });
+      const fileName = this.calendarFileName(selected, calendarService.timezone);
+      const file = { mimetype: 'text/calendar', data: Buffer.from(ics).toString('base64'), filename: fileName };
+      
+      await this.trackSent(this.transport.sendFile(message, file));
+      console.log(chalk.green(`📎 Sent ${fileName} with ${selected.length} event(s)`));
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to send calendar file:'), error.message);
+    }
+  }
+
+  calendarFileName(events, timezone) {
+    if (events.length === 1) {
+      const slug = (events[0].summary || 'event').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+      return `${slug || 'event'}.ics`;
+    }
+    
+    const dates = events.map(event => moment(event.start?.dateTime || event.start?.date).tz(timezone).format('YYYY-MM-DD'));
+    const first = dates.reduce((a, b) => (a < b ? a : b));
+    const last = dates.reduce((a, b) => (a > b ? a : b));
+    
+    return first === last ? `events-${first}.ics` : `events-${first}-to-${last}.ics`;
+  }
+
+  isImage(message) {
+    return message.hasMedia && message.type === 'image';
+  }
+
+  // What to act on: the message text, a voice note's transcript or the event
+  // read from a photo, plus any extra processing context. Returns null when
+  // there is nothing to do.
+  async getMessageInput(message) {
+    if (this.isVoiceNote(message)) {
+      const transcript = await this.transcribeVoiceNote(message);
+      return transcript ? { text: transcript } : null;
+    }
+    
+    if (this.isImage(message)) {
+      return await this.readImage(message);
+    }
+    
+    return { text: message.body };
+  }
+
+  // The transcript is echoed back so the sender can see what was understood
+  async transcribeVoiceNote(message) {
+    if (!this.transcriptionService.isEnabled()) {
+      console.log(chalk.gray('ℹ️  Voice note skipped: transcription is disabled\n'));
+      return null;
+    }
+    
+    const maxDuration = config.transcription.maxDurationSeconds;
+    if (parseInt(message.duration) > maxDuration) {
+      await this.reply(message, `Sorry, voice notes longer than ${maxDuration} seconds are not transcribed.`);
+      return null;
+    }
+    
+    try {
+      const media = await message.downloadMedia();
+      if (!media) {
+        throw new Error('Voice note could not be downloaded');
+      }
+      
+      const transcript = await this.transcriptionService.transcribe(Buffer.from(media.data, 'base64'), media.mimetype);
+      if (!transcript) {
+        await this.reply(message, `Sorry, I couldn't make out that voice note.`);
+        return null;
+      }
+      
+      this.stats.voiceNotesTranscribed++;
+      console.log(chalk.cyan(`🎙️  Transcript: ${transcript}`));
+      await this.reply(message, `🎙️ I heard: "${transcript}"`);
+      
+      return transcript;
+      
+    } catch (error) {
+      this.recordError('voice note transcription', error);
+      console.log(chalk.red('❌ Voice note transcription failed:'), error.message);
+      await this.reply(message, `Sorry, I couldn't transcribe that voice note.`);
+      return null;
+    }
+  }
+
+  // Photos of invitations and flyers become a request to add the event. The
+  // caption is kept in the event description, and in "propose" mode the
+  // event is only created once the sender confirms. Photos without an event
+  // are handled by their caption alone, as before.
+  async readImage(message) {
+    const caption = message.body;
+    const captionOnly = caption ? { text: caption } : null;
+    
+    if (!this.imageTextService.isEnabled()) {
+      return captionOnly;
+    }
+    
+    try {
+      const media = await message.downloadMedia();
+      if (!media) {
+        throw new Error('Image could not be downloaded');
+      }
+      
+      const imageText = await this.imageTextService.extractText(Buffer.from(media.data, 'base64'), media.mimetype);
+      if (!imageText) {
+        console.log(chalk.gray('ℹ️  No event found in image\n'));
+        return captionOnly;
+      }
+      
+      this.stats.imagesRead++;
+      console.log(chalk.cyan(`🖼️  Text in image: ${imageText.substring(0, 200)}`));
+      
+      return {
+        text: [
+          'Add the event announced in this photo to the calendar.',
+          `Text in the photo:\n${imageText}`,
+          caption ? `Caption: ${caption}` : null
+        ].filter(Boolean).join('\n\n'),
+        context: {
+          eventNote: caption ? `Photo caption: ${caption}` : undefined,
+          confirmCreates: config.images.mode === 'propose'
+        }
+      };
+      
+    } catch (error) {
+      this.recordError('reading image', error);
+      console.log(chalk.red('❌ Reading image failed:'), error.message);
+      return captionOnly;
+    }
+  }
+
+  // "Delete for everyone" removes - or flags, per chat - the events the
+  // message created. Senders without the edit role can only remove events
+  // they created themselves.
+  async handleRevokedMessage(message, revokedMessage) {
+    try {
+      const messageId = (revokedMessage || message).id?._serialized;
+      const entries = this.journal.createdBy(messageId);
+      if (entries.length === 0) {
+        return;
+      }
+      
+      const chat = await message.getChat();
+      const chatSettings = this.chatRegistry.resolve(chat);
+      if (!chatSettings || chatSettings.onRevoke === 'ignore') {
+        return;
+      }
+      
+      const senderId = this.transport.senderId(message);
+      const permissions = resolvePermissions(chatSettings, senderId, message.fromMe);
+      const ownEventsOnly = entries.every(entry => entry.senderId === permissions?.senderId);
+      if (!permissions || (!permissions.can(ROLES.EDIT) && !ownEventsOnly)) {
+        console.log(chalk.yellow(`⏭️  Keeping events of deleted message: ${senderId} may not remove them`));
+        return;
+      }
+      
+      const chatContext = await this.getChatContext(chatSettings);
+      const operationContext = {
+        chatId: chatContext.key,
+        senderId: permissions.senderId,
+        messageId,
+        events: {}
+      };
+      
+      await this.calendarLimit(() => runWithOperationContext(operationContext, () =>
+        this.removeEventsOfRevokedMessage(chat, chatContext, entries)
+      ));
+      
+    } catch (error) {
+      this.recordError('deleted message', error);
+      console.log(chalk.red('❌ Error handling deleted message:'), error.message);
+    }
+  }
+
+  async removeEventsOfRevokedMessage(chat, chatContext, entries) {
+    const { settings, calendarService } = chatContext;
+    const flag = settings.onRevoke === 'flag';
+    const lines = [];
+    
+    for (const entry of entries) {
+      let title = entry.after?.summary || 'Untitled event';
+      let result;
+      
+      try {
+        if (flag) {
+          const event = await calendarService.getEvent(entry.eventId);
+          title = event.summary || title;
+          result = title.startsWith(REVOKED_PREFIX) ? { success: true } : await calendarService.updateEvent(entry.eventId, {
+            summary: `${REVOKED_PREFIX}${title}`,
+            description: ['The WhatsApp message this event came from was deleted.', event.description].filter(Boolean).join('\n\n')
+          });
+        } else {
+          result = await calendarService.deleteEvent(entry.eventId);
+        }
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      
+      lines.push(result.success ? `• "${title}"` : `• ⚠️ "${title}" (${result.error})`);
+    }
+    
+    const notice = `${flag ? '⚠️ Flagged' : '🗑️ Removed'} ${entries.length} event${entries.length === 1 ? '' : 's'} because the message ${entries.length === 1 ? 'it' : 'they'} came from was deleted:\n${lines.join('\n')}`;
+    console.log(chalk.blue(`📋 ${notice}\n`));
+    await chat.sendMessage(`Agent Response: ${notice}`);
+  }
+
+  // Check every minute whether a chat's daily digest or weekly summary is due
+  startDigestScheduler() {
+    const scheduled = this.chatRegistry.list().some(settings => settings.digest.enabled || settings.weeklySummary.enabled);
+    if (this.digestTimer || !scheduled) {
+      return;
+    }
+    
+    console.log(chalk.blue('🗓️  Digest scheduler started'));
+    this.digestTimer = setInterval(() => this.postDueDigests(), 60 * 1000);
+    this.postDueDigests();
+  }
+
+  async postDueDigests(now = moment()) {
+    // A slow calendar must not lead to the same digest being posted twice
+    if (this.postingDigests) {
+      return;
+    }
+    this.postingDigests = true;
+    
+    try {
+      for (const chatSettings of this.chatRegistry.list()) {
+        try {
+          const chatContext = await this.getChatContext(chatSettings);
+          
+          if (this.digestService.isDue(chatContext.key, chatSettings, now)) {
+            await this.postDigest(chatContext, now);
+          }
+          
+          if (this.weeklySummaryService.isDue(chatContext.key, chatSettings, now)) {
+            await this.postWeeklySummary(chatContext, now);
+          }
+        } catch (error) {
+          this.recordError('digest', error);
+          console.log(chalk.red(`❌ Scheduled posts for "${chatSettings.name}" failed:`), error.message);
+        }
+      }
+    } finally {
+      this.postingDigests = false;
+    }
+  }
+
+  // Post the agenda for the chat's digest day, grouped by part of the day.
+  // Only marked as sent once posted: a failure is retried every minute until
+  // the digest's grace period is over.
+  async postDigest(chatContext, now = moment()) {
+    const { key, settings, calendarService } = chatContext;
+    
+    try {
+      const day = this.digestService.agendaDay(settings, now);
+      const events = await calendarService.getEvents(day.toISOString(), day.clone().add(1, 'day').toISOString());
+      
+      if (events.length === 0 && settings.digest.skipEmpty) {
+        this.digestService.markSent(key, settings, now);
+        console.log(chalk.gray(`ℹ️  Digest for "${settings.name}" skipped: no events\n`));
+        return;
+      }
+      
+      const chat = await this.findChat(settings);
+      if (!chat) {
+        throw new Error('chat not found');
+      }
+      
+      const digest = this.digestService.format(events, day, settings.timezone);
+      console.log(chalk.blue(`🗓️  Posting digest to "${settings.name}":\n${digest}\n`));
+      await chat.sendMessage(`Agent Response: ${digest}`);
+      this.digestService.markSent(key, settings, now);
+      
+    } catch (error) {
+      this.recordError('digest', error);
+      console.log(chalk.red(`❌ Failed to post digest to "${settings.name}":`), error.message);
+    }
+  }
+
+  // Poll upcoming events and send the reminders that are due
+  startReminderScheduler() {
+    if (this.reminderTimer || !this.chatRegistry.list().some(settings => settings.reminders.enabled)) {
+      return;
+    }
+    
+    console.log(chalk.blue('⏰ Reminder scheduler started'));
+    this.reminderTimer = setInterval(() => this.sendDueReminders(), config.reminders.pollSeconds * 1000);
+    this.sendDueReminders();
+  }
+
+  async sendDueReminders(now = moment()) {
+    // A slow calendar must not lead to overlapping polls
+    if (this.checkingReminders) {
+      return;
+    }
+    this.checkingReminders = true;
+    
+    try {
+      for (const chatSettings of this.chatRegistry.list()) {
+        if (!chatSettings.reminders.enabled) {
+          continue;
+        }
+        
+        try {
+          await this.sendChatReminders(await this.getChatContext(chatSettings), now);
+        } catch (error) {
+          this.recordError('reminders', error);
+          console.log(chalk.red(`❌ Reminders for "${chatSettings.name}" failed:`), error.message);
+        }
+      }
+    } finally {
+      this.checkingReminders = false;
+    }
+  }
+
+  async sendChatReminders(chatContext, now = moment()) {
+    const { key, settings, calendarService } = chatContext;
+    
+    try {
+      const until = now.clone().add(this.reminderService.lookaheadMinutes(settings), 'minutes');
+      const events = await calendarService.getEvents(now.toISOString(), until.toISOString(), { quiet: true });
+      const due = this.reminderService.dueReminders(key, settings, events, now);
+      if (due.length === 0) {
+        return;
       }
       
-      // Initialize Google Calendar
-      const calendarReady = await this.calendarService.initialize();
-      if (!calendarReady) {
-        console.log(chalk.red('❌ Google Calendar not ready. Please check credentials.'));
-        return false;
+      const chat = await this.findChat(settings);
+      if (!chat) {
+        throw new Error('chat not found');
       }
       
-      // Initialize LLM service based on type
-      if (!this.usingGPT4) {
-        // Initialize local MCP Server for Ollama
-        console.log(chalk.blue('🔧 Initializing local MCP Server...'));
-        await this.mcpServer.connect();
-        this.llmService.setMCPServer(this.mcpServer);
-        console.log(chalk.green('✅ Local MCP Server initialized successfully'));
-      } else {
-        // GPT-4 bridge is already initialized in constructor
-        console.log(chalk.green('✅ GPT-4 MCP Bridge ready'));
+      for (const event of due) {
+        const reminder = this.reminderService.format(event, settings.timezone, now);
+        console.log(chalk.blue(`⏰ Reminding "${settings.name}": ${reminder}`));
+        await chat.sendMessage(`Agent Response: ${reminder}`);
+        // Only once sent: a failed reminder is retried every poll until the event starts
+        this.reminderService.markSent(key, event);
       }
       
-      // Initialize WhatsApp client
-      console.log(chalk.blue('🔧 Initializing WhatsApp client...'));
-      await this.client.initialize();
+    } catch (error) {
+      this.recordError('reminders', error);
+      console.log(chalk.red(`❌ Failed to send reminders to "${settings.name}":`), error.message);
+    }
+  }
+
+  // Post the summary of the week starting tomorrow (e.g. Monday to Sunday
+  // when it goes out on Sunday evening). Like the digest, it is only marked
+  // as sent once posted.
+  async postWeeklySummary(chatContext, now = moment()) {
+    const { key, settings } = chatContext;
+    
+    try {
+      const summary = await this.buildWeeklySummary(chatContext, now.clone().add(1, 'day'));
+      
+      const chat = await this.findChat(settings);
+      if (!chat) {
+        throw new Error('chat not found');
+      }
       
-      return true;
+      console.log(chalk.blue(`📊 Posting weekly summary to "${settings.name}":\n${summary}\n`));
+      await chat.sendMessage(`Agent Response: ${summary}`);
+      this.weeklySummaryService.markSent(key, settings, now);
       
     } catch (error) {
-      console.log(chalk.red('❌ Initialization failed:'), error.message);
-      return false;
+      this.recordError('weekly summary', error);
+      console.log(chalk.red(`❌ Failed to post weekly summary to "${settings.name}":`), error.message);
     }
   }
 
-  setupEventHandlers() {
-    this.client.on('qr', (qr) => {
-      console.log(chalk.yellow('📱 Scan this QR code with WhatsApp:'));
-      qrcode.generate(qr, { small: true });
-    });
+  async buildWeeklySummary(chatContext, from) {
+    const { settings, calendarService } = chatContext;
+    const { start, end } = this.weeklySummaryService.weekRange(from, settings.timezone);
+    const events = await calendarService.getEvents(start.toISOString(), end.toISOString());
+    
+    return this.weeklySummaryService.format(this.weeklySummaryService.analyze(events, start, settings.timezone));
+  }
 
-    this.client.on('ready', () => {
-      console.log(chalk.green.bold('✅ WhatsApp Secretary is ready!'));
-      console.log(chalk.blue(`🎯 Monitoring group: "${config.whatsapp.targetGroupName}"`));
-      console.log(chalk.blue(`🤖 Using LLM model: ${config.llm.model}`));
-      console.log(chalk.gray('📊 Press Ctrl+C to stop and see statistics\n'));
-    });
+  // "week summary" on demand covers the seven days starting today
+  async handleWeekSummaryCommand(message, chatContext, permissions) {
+    if (!permissions.can(ROLES.QUERY)) {
+      await this.reply(message, `Sorry, you don't have permission to look at the calendar.`);
+      return;
+    }
+    
+    const summary = await this.buildWeeklySummary(chatContext, moment());
+    console.log(chalk.blue(`📋 ${summary}\n`));
+    await this.reply(message, summary);
+  }
 
-    this.client.on('authenticated', () => {
-      console.log(chalk.green('✅ WhatsApp authenticated successfully'));
-    });
+  // The WhatsApp chat of a monitored group, by ID or else by name
+  async findChat(chatSettings) {
+    if (chatSettings.id) {
+      return await this.transport.getChatById(chatSettings.id);
+    }
+    
+    const chats = await this.transport.getChats();
+    return chats.find(chat => chat.isGroup && chat.name === chatSettings.name) || null;
+  }
 
-    this.client.on('auth_failure', (msg) => {
-      console.log(chalk.red('❌ Authentication failed:'), msg);
-    });
+  // A lost session can't send anything, so the admin hears about an outage
+  // (and whether it needed a new QR scan) once the connection is back
+  async handleConnectionState(connection, previousState) {
+    if (connection.state === 'qr' && previousState !== 'starting') {
+      console.log(chalk.red.bold(`🔑 ${this.transport.name} needs a new QR scan to reconnect`));
+      return;
+    }
+    
+    if (connection.state !== 'connected' || !connection.recovered) {
+      return;
+    }
+    
+    try {
+      const chatId = config.connection.adminChatId || this.transport.selfChatId();
+      const chat = chatId ? await this.transport.getChatById(chatId) : null;
+      if (!chat) {
+        console.log(chalk.gray('ℹ️  No admin chat to report the reconnect to'));
+        return;
+      }
+      
+      await chat.sendMessage(`Agent Response: ${this.describeRecovery(connection.recovered)}`);
+    } catch (error) {
+      console.log(chalk.red('❌ Failed to notify the admin chat:'), error.message);
+    }
+  }
+  
+  describeRecovery({ reason, downSince, attempts, neededQr }) {
+    const offline = moment.duration(Date.now() - new Date(downSince).getTime()).humanize();
+    
+    return neededQr
+      ? `🔑 ${this.transport.name} was ${reason} and has been linked again with a new QR scan (offline for ${offline}).`
+      : `✅ ${this.transport.name} is back after ${offline} offline (${reason}; reconnected on attempt ${attempts}).`;
+  }
 
-    this.client.on('disconnected', (reason) => {
-      console.log(chalk.yellow('⚠️  WhatsApp disconnected:'), reason);
-    });
+  async handleDigestCommand(message, chatContext, permissions, command) {
+    const { key, settings } = chatContext;
+    let response;
+    
+    if (!settings.digest.enabled || settings.private) {
+      response = `The daily digest is not enabled for this chat.`;
+    } else if (!permissions.can(ROLES.EDIT)) {
+      response = `Sorry, you don't have permission to change the daily digest.`;
+    } else if (command === 'pause') {
+      this.digestService.setPaused(key, true);
+      response = `⏸️ Daily digest paused. Say "resume digest" to turn it back on.`;
+    } else {
+      this.digestService.setPaused(key, false);
+      response = `▶️ Daily digest resumed: ${settings.digest.day}'s agenda every day at ${settings.digest.time}.`;
+    }
+    
+    console.log(chalk.blue(`📋 ${response}\n`));
+    await this.reply(message, response);
+  }
 
-    // Listen for ALL messages (including your own)
-    this.client.on('message_create', async (message) => {
-      // Debug: Log all incoming messages
-      try {
-        const chat = await message.getChat();
-        console.log(chalk.gray(`🔍 DEBUG: Message created`));
-        console.log(chalk.gray(`  - Chat type: ${chat.isGroup ? 'Group' : 'Private'}`));
-        console.log(chalk.gray(`  - Chat name: "${chat.name || 'N/A'}"`));
-        console.log(chalk.gray(`  - From me: ${message.fromMe}`));
-        console.log(chalk.gray(`  - Message: "${message.body.substring(0, 50)}..."`));
-        
-        // Special highlight for your own messages
-        if (message.fromMe) {
-          console.log(chalk.green('🎯 THIS IS YOUR MESSAGE! Should be processed.'));
-        } else {
-          console.log(chalk.yellow('👥 This is from someone else, will be skipped.'));
+  async runCommand(message, chatContext, permissions, command) {
+    const { key, settings, calendarService } = chatContext;
+    console.log(chalk.blue(`⌨️  Command: /${command.name}${command.args ? ` ${command.args}` : ''}`));
+    
+    if (!command.known) {
+      await this.reply(message, `Unknown command /${command.name}. Send /help for the list of commands.`);
+      return;
+    }
+    
+    if (!this.commandRouter.canRun(command.name, permissions)) {
+      await this.reply(message, `Sorry, you don't have permission to use /${command.name}.`);
+      return;
+    }
+    
+    let response;
+    switch (command.name) {
+      case 'help':
+        response = this.commandRouter.help(permissions);
+        break;
+        
+      case 'stats':
+        response = this.formatStatistics();
+        break;
+        
+      case 'next':
+        response = await this.describeNextEvent(calendarService);
+        break;
+        
+      case 'today': {
+        const day = moment().tz(settings.timezone).startOf('day');
+        const events = await calendarService.getEvents(day.toISOString(), day.clone().add(1, 'day').toISOString());
+        response = this.digestService.format(events, day, settings.timezone);
+        break;
+      }
+        
+      case 'undo': {
+        const count = this.undoService.parseCommand(`undo ${command.args}`.trim());
+        if (!count) {
+          response = 'Usage: /undo or /undo 3';
+          break;
         }
-      } catch (error) {
-        console.log(chalk.gray(`🔍 DEBUG: Error getting chat info: ${error.message}`));
+        await this.undoLast(message, chatContext, permissions, count);
+        return;
       }
-      
-      await this.handleMessage(message);
-    });
+        
+      case 'pause':
+        this.commandRouter.setPaused(key, true);
+        response = `⏸️ Paused. I'll ignore messages in this chat until someone sends /resume.`;
+        break;
+        
+      case 'resume':
+        this.commandRouter.setPaused(key, false);
+        response = `▶️ Resumed. I'm handling messages in this chat again.`;
+        break;
+        
+      case 'whoami': {
+        const roles = [...permissions.roles].join(', ') || 'none';
+        const sender = permissions.senderId === 'me' ? "the secretary's own account" : permissions.senderId;
+        response = `👤 You are ${sender} (${this.transport.senderName(message) || 'Unknown'})\nRoles: ${roles}\nChat: ${settings.name} → ${settings.calendarId} (${settings.timezone})`;
+        break;
+      }
+    }
+    
+    console.log(chalk.blue(`📋 ${response}\n`));
+    await this.reply(message, response);
+  }
 
-    // Keep the original message listener as backup
-    this.client.on('message', async (message) => {
-      console.log(chalk.gray('📨 Backup: Regular message event triggered'));
-    });
+  // Revert the chat's latest changes ("undo", "undo last 3" or /undo 3)
+  async undoLast(message, chatContext, permissions, count) {
+    this.pendingActions.delete(chatContext.key, permissions.senderId);
+    const response = await this.undoService.undo(chatContext.calendarService, chatContext.key, count, permissions);
+    console.log(chalk.blue(`📋 ${response}\n`));
+    await this.reply(message, response);
+  }
+
+  // The first event starting from now, within the next 30 days
+  async describeNextEvent(calendarService) {
+    const now = moment();
+    const events = await calendarService.getEvents(now.toISOString(), now.clone().add(30, 'days').toISOString());
+    const next = events.find(event => event.start?.dateTime
+      ? moment(event.start.dateTime).isSameOrAfter(now)
+      : moment.tz(event.start.date, calendarService.timezone).isSameOrAfter(now.clone().tz(calendarService.timezone).startOf('day')));
+    
+    if (!next) {
+      return 'Nothing on the calendar in the next 30 days.';
+    }
+    
+    const when = next.start.dateTime
+      ? `${moment(next.start.dateTime).tz(calendarService.timezone).format('ddd D MMM HH:mm')} (${moment(next.start.dateTime).from(now)})`
+      : `${moment(next.start.date).format('ddd D MMM')}, all day`;
+    
+    return `⏭️ Next: "${next.summary || 'No Title'}" ${when}${next.location ? ` — 📍 ${next.location}` : ''}`;
   }
 
-  async handleMessage(message) {
+  async processMessage(message, chatContext, permissions, text = message.body, extraContext = {}) {
+    const { settings, llmService } = chatContext;
+    const context = { chatId: chatContext.key, senderId: permissions.senderId, permissions, ...extraContext };
+    let pending = null;
+    
     try {
-      this.stats.messagesProcessed++;
-      const chat = await message.getChat();
+      const senderName = this.transport.senderName(message) || 'Unknown';
       
-      console.log(chalk.cyan(`\n📝 New message in ${chat.name}:`));
-      console.log(chalk.gray(`From: ${message._data.notifyName || 'Unknown'}`));
-      console.log(chalk.gray(`Message: ${message.body.substring(0, 100)}${message.body.length > 100 ? '...' : ''}`));
+      // Slash commands are answered directly, without the LLM
+      const command = this.commandRouter.parse(text);
+      if (command) {
+        await this.runCommand(message, chatContext, permissions, command);
+        return;
+      }
       
-      // Only process messages from the target group
-      if (!chat.isGroup || chat.name !== config.whatsapp.targetGroupName) {
+      // A paused chat only answers slash commands (e.g. /resume)
+      if (this.commandRouter.isPaused(context.chatId)) {
+        console.log(chalk.gray(`⏸️  Skipping: the secretary is paused in "${settings.name}"\n`));
         return;
       }
-
-      // ONLY process messages from me (you are the secretary!)
-      if (!message.fromMe) {
-        console.log(chalk.yellow(`⏭️  Skipping: Not from me (fromMe: ${message.fromMe})`));
+      
+      // "pause digest" / "resume digest" switches the chat's daily agenda off and on
+      const digestCommand = this.digestService.parseCommand(text);
+      if (digestCommand) {
+        await this.handleDigestCommand(message, chatContext, permissions, digestCommand);
         return;
       }
-
-      // Skip messages that start with "Agent Response:" to avoid infinite loops
-      if (message.body.startsWith('Agent Response:')) {
-        console.log(chalk.gray('🔄 Skipping agent response to avoid infinite loop'));
+      
+      // "week summary" describes the coming seven days
+      if (this.weeklySummaryService.isCommand(text)) {
+        await this.handleWeekSummaryCommand(message, chatContext, permissions);
+        return;
+      }
+      
+      // "undo" / "undo last 3" reverts the secretary's latest changes in this chat
+      const undoCount = this.undoService.parseCommand(text);
+      if (undoCount) {
+        await this.undoLast(message, chatContext, permissions, undoCount);
+        return;
+      }
+      
+      // A pending question or confirmation means this message may be the answer
+      pending = this.pendingActions.take(context.chatId, context.senderId);
+      const resumeContext = { ...context, ...pending?.context };
+      
+      let result = null;
+      if (pending?.type === 'confirmation') {
+        // Anything other than YES/NO drops the plan and is handled as a new request
+        result = await this.answerConfirmation(text, llmService, resumeContext, pending);
+      } else if (!pending && this.confirmationPolicy.isBareAnswer(text)) {
+        // A plain "ok" or "no" in a group is usually meant for someone else
+        console.log(chalk.gray('ℹ️  Skipping: nothing waiting for confirmation\n'));
         return;
       }
-
-
-      // Use rate limiting for processing
-      this.calendarLimit(async () => {
-        await this.processMessage(message);
-      });
-
-    } catch (error) {
-      this.stats.errorsEncountered++;
-      console.log(chalk.red('❌ Error handling message:'), error.message);
-    }
-  }
-
-  async processMessage(message) {
-    try {
-      const senderName = message._data.notifyName || 'Unknown';
       
       if (this.usingGPT4) {
         console.log(chalk.blue('🧠 Processing message with GPT-4 MCP Bridge...'));
         
         // Use GPT-4 MCP Bridge
-        const result = await this.llmService.processMessage(message.body, senderName);
+        if (!result) {
+          result = pending?.type === 'clarification'
+            ? await llmService.resumeWithAnswer(pending.state, text, resumeContext)
+            : await llmService.processMessage(text, senderName, context);
+        }
         
         if (!result.success) {
           console.log(chalk.gray(`ℹ️  GPT-4 processing failed: ${result.error}\n`));
           // Fallback to Ollama
-          await this.processMessageFallback(message);
+          await this.processMessageFallback(message, chatContext, permissions, text);
+          return;
+        }
+        
+        if (result.needsClarification) {
+          await this.askClarifyingQuestion(message, context, result.response, result.pendingState);
+          return;
+        }
+        
+        if (result.needsConfirmation) {
+          await this.askForConfirmation(message, context, result.response, result.pendingState);
+          return;
+        }
+        
+        if (result.cancelled) {
+          await this.reply(message, result.response);
           return;
         }
         
@@ -212,8 +1249,8 @@ class WhatsAppSecretary {
         this.stats.eventsCreated++; // GPT-4 handles all types of operations
         
         // Send confirmation reply if enabled
-        if (config.whatsapp.autoReply && result.response) {
-          await message.reply(`Agent Response: ${result.response}`);
+        if (settings.autoReply && result.response) {
+          await this.reply(message, result.response);
         }
         
         console.log(chalk.green.bold(`✅ GPT-4 completed after ${result.iterations} iterations!`));
@@ -223,18 +1260,40 @@ class WhatsAppSecretary {
         console.log(chalk.blue('🧠 Processing message with Ollama MCP...'));
         
         // Use Ollama MCP processing
-        const result = await this.llmService.processEventMessage(message.body, senderName);
+        if (!result && pending?.type === 'clarification') {
+          result = await llmService.resumeEventMessage(pending.state, text, resumeContext);
+        }
+        
+        // Not an answer to the question after all: treat it as a new request
+        if (!result || result.unresolvedAnswer) {
+          result = await llmService.processEventMessage(text, senderName, context);
+        }
         
         if (!result.processed) {
           console.log(chalk.gray(`ℹ️  No action taken: ${result.reason}\n`));
           return;
         }
         
+        if (result.needsClarification) {
+          await this.askClarifyingQuestion(message, context, result.message, result.pendingState);
+          return;
+        }
+        
+        if (result.needsConfirmation) {
+          await this.askForConfirmation(message, context, result.message, result.pendingState);
+          return;
+        }
+        
+        if (result.cancelled) {
+          await this.reply(message, result.message);
+          return;
+        }
+        
         this.stats.eventsDetected++;
         
         // Send confirmation reply if enabled
-        if (config.whatsapp.autoReply && result.message) {
-          await message.reply(`Agent Response: ${result.message}`);
+        if (settings.autoReply && result.message) {
+          await this.reply(message, result.message);
         }
         
         console.log(chalk.green.bold(`✅ Ollama MCP Action completed!`));
@@ -254,36 +1313,225 @@ class WhatsAppSecretary {
       }
       
     } catch (error) {
-      this.stats.errorsEncountered++;
+      this.recordError('processing message', error);
       console.log(chalk.red('❌ Error processing message:'), error.message);
       
+      // A rate limit or outage passes: let the message queue retry the whole
+      // message, with the question or confirmation it answers still waiting
+      if (isTransientError(error)) {
+        if (pending) {
+          this.pendingActions.restore(pending);
+        }
+        throw error;
+      }
+      
       // Fallback to simple LLM service
       console.log(chalk.yellow('🔄 Falling back to simple event detection...'));
       try {
-        await this.processMessageFallback(message);
+        await this.processMessageFallback(message, chatContext, permissions, text);
       } catch (fallbackError) {
         console.log(chalk.red('❌ Fallback also failed:'), fallbackError.message);
+        
+        // Let the message queue retry it later
+        throw error;
+      }
+    }
+  }
+
+  // Remember where the workflow paused and ask the sender. Questions are
+  // always sent, even with auto-reply off, since the workflow waits on them.
+  async askClarifyingQuestion(message, context, question, pendingState) {
+    this.pendingActions.set(context.chatId, context.senderId, {
+      type: 'clarification',
+      question,
+      state: pendingState,
+      context: this.carriedContext(context)
+    });
+    
+    console.log(chalk.yellow(`❓ Asking for clarification: ${question}\n`));
+    await this.reply(message, question);
+  }
+
+  // Summarize the destructive operations and wait for YES/NO within the
+  // confirmation window. Like questions, summaries are always sent.
+  async askForConfirmation(message, context, summary, pendingState) {
+    const pending = this.pendingActions.set(context.chatId, context.senderId, {
+      type: 'confirmation',
+      summary,
+      state: pendingState,
+      context: this.carriedContext(context)
+    }, config.confirmation.windowMinutes);
+    
+    console.log(chalk.yellow(`⚠️  Waiting for confirmation:\n${summary}\n`));
+    const sent = await this.reply(message, summary);
+    
+    // 👍 or ❌ on this summary answers it too
+    pending.replyId = sent?.id?._serialized;
+  }
+
+  // Remember the ID of a message being sent. WhatsApp can report the sent
+  // message before the send resolves, so sends under way are tracked too.
+  async trackSent(sending) {
+    this.sendsInFlight.add(sending);
+    
+    try {
+      const sent = await sending;
+      if (sent?.id?._serialized) {
+        this.sentMessageIds.add(sent.id._serialized);
+        if (this.sentMessageIds.size > MAX_SENT_MESSAGE_IDS) {
+          this.sentMessageIds.delete(this.sentMessageIds.values().next().value);
+        }
+      }
+      return sent;
+    } finally {
+      this.sendsInFlight.delete(sending);
+    }
+  }
+  
+  async isSentBySecretary(message) {
+    if (!message.fromMe) {
+      return false;
+    }
+    
+    await Promise.allSettled([...this.sendsInFlight]);
+    return this.sentMessageIds.has(message.id._serialized);
+  }
+
+  // Reply with an "Agent Response:" message. Replies sent while processing a
+  // message are registered with the operations recorded so far, so a
+  // reaction on the reply can act on them.
+  async reply(message, text) {
+    const sent = await this.trackSent(message.reply(`Agent Response: ${text}`));
+    const { chatId, senderId, messageId, journalEntryIds = [] } = getOperationContext();
+    
+    if (sent?.id && chatId) {
+      this.replyRegistry.remember(sent.id._serialized, {
+        chatId,
+        senderId,
+        messageId,
+        entryIds: [...journalEntryIds]
+      });
+    }
+    
+    return sent;
+  }
+
+  // Reactions on the secretary's replies: 👍 confirms and ❌ cancels the
+  // pending action the reply asked about, ↩️ undoes the operations it reports
+  async handleReaction(reaction) {
+    try {
+      // An empty reaction means a reaction was removed
+      if (!config.reactions.enabled || !reaction.reaction) {
+        return;
+      }
+      
+      const action = REACTION_ACTIONS[reaction.reaction.replace(/[\u{1F3FB}-\u{1F3FF}\uFE0F]/gu, '')];
+      const replyId = reaction.msgId?._serialized;
+      const reply = action ? this.replyRegistry.get(replyId) : null;
+      if (!reply) {
+        return;
       }
+      
+      const replyMessage = await this.transport.getMessageById(replyId);
+      const chat = await replyMessage.getChat();
+      const chatSettings = this.chatRegistry.resolve(chat);
+      if (!chatSettings) {
+        return;
+      }
+      
+      const permissions = resolvePermissions(chatSettings, reaction.senderId, reaction.fromMe);
+      if (!permissions) {
+        console.log(chalk.yellow(`⏭️  Ignoring reaction: ${reaction.senderId} is not an authorized sender`));
+        return;
+      }
+      
+      console.log(chalk.cyan(`\n${reaction.reaction}  Reaction (${action}) from ${permissions.senderId} in ${chat.name}`));
+      
+      const chatContext = await this.getChatContext(chatSettings);
+      const operationContext = {
+        chatId: chatContext.key,
+        senderId: permissions.senderId,
+        messageId: replyId,
+        events: {}
+      };
+      
+      await this.calendarLimit(() => runWithOperationContext(operationContext, async () => {
+        if (action === 'undo') {
+          const response = await this.undoService.undoEntries(chatContext.calendarService, reply.entryIds, permissions);
+          console.log(chalk.blue(`📋 ${response}\n`));
+          await this.reply(replyMessage, response);
+          return;
+        }
+        
+        // Only the sender who was asked can answer, and only the latest summary counts
+        const pending = this.pendingActions.get(chatContext.key, permissions.senderId);
+        if (pending?.type !== 'confirmation' || pending.replyId !== replyId) {
+          console.log(chalk.gray('ℹ️  Nothing waiting for confirmation on this reply\n'));
+          return;
+        }
+        
+        await this.processMessage(replyMessage, chatContext, permissions, action === 'confirm' ? 'yes' : 'no');
+      }));
+      
+    } catch (error) {
+      this.recordError('reaction', error);
+      console.log(chalk.red('❌ Error handling reaction:'), error.message);
+    }
+  }
+
+  // Processing context that must survive until the paused workflow resumes
+  carriedContext(context) {
+    const { eventNote, confirmCreates } = context;
+    return { eventNote, confirmCreates };
+  }
+
+  // Run or cancel the operations waiting for confirmation. Returns null
+  // when the message is not a YES/NO answer.
+  async answerConfirmation(text, llmService, context, pending) {
+    if (this.confirmationPolicy.isYes(text)) {
+      console.log(chalk.green('👍 Confirmed, running pending operations...'));
+      return this.usingGPT4
+        ? await llmService.confirmPendingOperations(pending.state, context)
+        : await llmService.confirmEventMessage(pending.state, context);
+    }
+    
+    if (this.confirmationPolicy.isNo(text)) {
+      console.log(chalk.yellow('🚫 Pending operations cancelled'));
+      return this.usingGPT4
+        ? llmService.cancelPendingOperations(pending.state)
+        : llmService.cancelEventMessage(pending.state);
     }
+    
+    console.log(chalk.gray('ℹ️  Not a confirmation answer, dropping pending operations'));
+    return null;
   }
 
-  async processMessageFallback(message) {
-    const senderName = message._data.notifyName || 'Unknown';
+  async processMessageFallback(message, chatContext, permissions, text = message.body) {
+    const { settings, calendarService } = chatContext;
+    const senderName = this.transport.senderName(message) || 'Unknown';
+    
+    // The fallback can only create events
+    if (!permissions.can(ROLES.CREATE)) {
+      console.log(chalk.gray('ℹ️  Fallback skipped: sender cannot create events\n'));
+      return;
+    }
     
-    const eventInfo = await this.fallbackLLMService.extractEventInfo(message.body, senderName);
+    const eventInfo = await this.fallbackLLMService.extractEventInfo(text, senderName);
     
     if (!eventInfo.isEvent) {
       console.log(chalk.gray('ℹ️  No event detected in fallback\n'));
       return;
     }
     
-    const result = await this.calendarService.createEvent(eventInfo);
+    const result = await calendarService.createEvent(eventInfo);
     
-    if (result.success) {
+    if (result.duplicate) {
+      console.log(chalk.yellow(`⚠️  Fallback event already exists: ${eventInfo.title}`));
+    } else if (result.success) {
       this.stats.eventsCreated++;
       
-      if (config.whatsapp.autoReply) {
-        await message.reply(`Agent Response: ${config.whatsapp.replyMessage}`);
+      if (settings.autoReply) {
+        await this.reply(message, settings.replyMessage);
       }
       
       console.log(chalk.green.bold(`✅ Fallback event created: ${eventInfo.title}`));
@@ -292,17 +1540,111 @@ class WhatsAppSecretary {
     }
   }
 
-  isDuplicateEvent(eventKey) {
-    return this.recentEvents.has(eventKey);
+  formatStatistics() {
+    const lines = [
+      '📊 Statistics:',
+      `📝 Messages processed: ${this.stats.messagesProcessed}`,
+      `🔍 Events detected: ${this.stats.eventsDetected}`,
+      `✅ Events created: ${this.stats.eventsCreated}`,
+      `🎙️ Voice notes transcribed: ${this.stats.voiceNotesTranscribed}`,
+      `🖼️ Images read: ${this.stats.imagesRead}`,
+      `⚠️ Duplicates skipped: ${this.stats.duplicatesSkipped}`,
+      `❌ Errors: ${this.stats.errorsEncountered}`,
+      `🔌 ${this.transport.name}: ${this.transport.connectionState().state}`
+    ];
+    
+    return lines.join('\n');
   }
 
-  rememberEvent(eventKey) {
-    this.recentEvents.set(eventKey, Date.now());
+  // Count an error and keep the latest one for /status
+  recordError(where, error) {
+    this.stats.errorsEncountered++;
+    this.lastError = { where, message: error.message, at: new Date().toISOString() };
+  }
+  
+  async startStatusServer() {
+    if (!this.statusServer) {
+      return;
+    }
+    
+    // A busy port should not keep the secretary itself from running
+    try {
+      await this.statusServer.start();
+    } catch (error) {
+      console.log(chalk.red('❌ Status server failed to start:'), error.message);
+    }
+  }
+  
+  // For /healthz: is the transport connected, do the calendar credentials
+  // work and does the LLM answer?
+  async checkHealth() {
+    if (!this.serviceChecks || Date.now() - this.serviceChecks.at > SERVICE_CHECK_CACHE_MS) {
+      const [calendar, llm] = await Promise.all([
+        this.checkService(() => this.calendarService.checkAccess()),
+        this.checkService(() => this.checkLLM())
+      ]);
+      this.serviceChecks = { at: Date.now(), calendar, llm };
+    }
     
-    // Clean up old events
-    setTimeout(() => {
-      this.recentEvents.delete(eventKey);
-    }, config.processing.duplicateEventWindowMinutes * 60 * 1000);
+    const connection = this.transport.connectionState();
+    const checks = {
+      transport: { ok: connection.state === 'connected', name: this.transport.name, state: connection.state },
+      calendar: this.serviceChecks.calendar,
+      llm: this.serviceChecks.llm
+    };
+    
+    return { ok: Object.values(checks).every(check => check.ok), checks };
+  }
+  
+  // A hanging Google or LLM call must not hold up /healthz
+  async checkService(check) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('timeout')), config.statusServer.checkTimeoutSeconds * 1000);
+    });
+    
+    try {
+      await Promise.race([check(), timeout]);
+      return { ok: true };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  // GPT-4 chats all use the same API, so checking one bridge is enough
+  async checkLLM() {
+    const llmService = this.usingGPT4
+      ? this.chatContexts.values().next().value?.llmService
+      : this.fallbackLLMService;
+    
+    if (!llmService) {
+      throw new Error('no chat is set up yet');
+    }
+    
+    await llmService.checkConnection();
+  }
+  
+  // For /status
+  status() {
+    const { activeCount, pendingCount } = this.calendarLimit;
+    
+    return {
+      startedAt: this.startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+      transport: { name: this.transport.name, ...this.transport.connectionState() },
+      stats: { ...this.stats },
+      queue: {
+        depth: this.messageQueue.size(),
+        calendarOperationsRunning: activeCount,
+        calendarOperationsWaiting: pendingCount
+      },
+      lastError: this.lastError,
+      model: this.usingGPT4
+        ? { provider: 'openai', model: config.openai.model }
+        : { provider: 'ollama', model: config.llm.model }
+    };
   }
 
   printStatistics() {
@@ -311,6 +1653,8 @@ class WhatsAppSecretary {
     console.log(chalk.blue(`📝 Messages Processed: ${this.stats.messagesProcessed}`));
     console.log(chalk.yellow(`🔍 Events Detected: ${this.stats.eventsDetected}`));
     console.log(chalk.green(`✅ Events Created: ${this.stats.eventsCreated}`));
+    console.log(chalk.blue(`🎙️  Voice Notes Transcribed: ${this.stats.voiceNotesTranscribed}`));
+    console.log(chalk.blue(`🖼️  Images Read: ${this.stats.imagesRead}`));
     console.log(chalk.yellow(`⚠️  Duplicates Skipped: ${this.stats.duplicatesSkipped}`));
     console.log(chalk.red(`❌ Errors Encountered: ${this.stats.errorsEncountered}`));
     
@@ -326,7 +1670,10 @@ class WhatsAppSecretary {
     console.log(chalk.yellow('\n🛑 Shutting down WhatsApp Secretary...'));
     
     try {
-      await this.client.destroy();
+      clearInterval(this.digestTimer);
+      clearInterval(this.reminderTimer);
+      await this.statusServer?.stop();
+      await this.transport.destroy();
       this.printStatistics();
       
       // Generate debug summary
@@ -343,40 +1690,47 @@ class WhatsAppSecretary {
   }
 }
 
-// Create and start the secretary
-const secretary = new WhatsAppSecretary();
-
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  await secretary.shutdown();
-});
-
-process.on('SIGTERM', async () => {
-  await secretary.shutdown();
-});
-
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.log(chalk.red('❌ Uncaught Exception:'), error.message);
-  secretary.shutdown();
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.log(chalk.red('❌ Unhandled Rejection at:'), promise, 'reason:', reason);
-  secretary.shutdown();
-});
-
-// Start the application
-async function main() {
+// Create and start the secretary, with graceful shutdown
+async function start() {
+  const secretary = new WhatsAppSecretary();
+  
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    await secretary.shutdown();
+  });
+  
+  process.on('SIGTERM', async () => {
+    await secretary.shutdown();
+  });
+  
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    console.log(chalk.red('❌ Uncaught Exception:'), error.message);
+    secretary.shutdown();
+  });
+  
+  process.on('unhandledRejection', (reason, promise) => {
+    console.log(chalk.red('❌ Unhandled Rejection at:'), promise, 'reason:', reason);
+    secretary.shutdown();
+  });
+  
   const success = await secretary.initialize();
   
   if (!success) {
     console.log(chalk.red('❌ Failed to start WhatsApp Secretary'));
     process.exit(1);
   }
+  
+  return secretary;
+}
+
+// Start the application when run directly (not when required, e.g. by tests)
+if (require.main === module) {
+  start().catch((error) => {
+    console.log(chalk.red('❌ Startup error:'), error.message);
+    process.exit(1);
+  });
 }
 
-main().catch((error) => {
-  console.log(chalk.red('❌ Startup error:'), error.message);
-  process.exit(1);
-});
+module.exports = WhatsAppSecretary;
+module.exports.start = start;
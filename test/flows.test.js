@@ -0,0 +1,854 @@
+// End-to-end flows through the whole secretary, offline: fake WhatsApp
+// client, in-memory calendar and a scripted LLM (see test/harness).
+// Run with: npm test
+const assert = require('assert');
+const http = require('http');
+const chalk = require('chalk');
+const moment = require('moment-timezone');
+const config = require('../src/config');
+const StatusServer = require('../src/services/status-server');
+const { PassThrough } = require('stream');
+const { parseICS, toGoogleEvent } = require('../src/utils/ics');
+const ConsoleTransport = require('../src/transports/console-transport');
+const MessageQueue = require('../src/services/message-queue');
+const { createHarness, chatSettings, ScriptedLLM } = require('./harness');
+const { FakeMessage } = require('./harness/fake-whatsapp-client');
+
+const TIMEZONE = 'Europe/London';
+const tomorrow = moment().tz(TIMEZONE).add(1, 'day').startOf('day');
+const at = (hour) => tomorrow.clone().hour(hour).format();
+const startHour = (event) => moment(event.start.dateTime).tz(TIMEZONE).hour();
+
+// The first event a search or list step found
+const foundEventId = (request) => ScriptedLLM.lastToolResult(request).events[0].id;
+
+const createDentist = {
+  tool: 'create_calendar_event',
+  args: { title: 'Dentist', start_time: at(15), end_time: at(16) }
+};
+
+// GET a path of the status server: { statusCode, body }
+const get = (port, path) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port, path }, (response) => {
+    let data = '';
+    response.on('data', chunk => { data += chunk; });
+    response.on('end', () => resolve({ statusCode: response.statusCode, body: JSON.parse(data) }));
+  }).on('error', reject);
+});
+
+// A forwarded .ics document with the given lines between BEGIN/END:VCALENDAR
+const icsFile = (lines, filename = 'invite.ics') => ({
+  mimetype: 'text/calendar',
+  data: Buffer.from(['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n')).toString('base64'),
+  filename
+});
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('create → move → delete → undo → undo', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist tomorrow at 15:00' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Added Dentist tomorrow at 15:00');
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(harness.events()[0].summary, 'Dentist');
+  assert.strictEqual(startHour(harness.events()[0]), 15);
+
+  // Moving an event is a reschedule, which waits for YES
+  harness.llm.push(
+    { tool: 'search_calendar_events', args: { query: 'dentist', date_range: 'tomorrow' } },
+    (request) => ({
+      tool: 'update_calendar_event',
+      args: { event_id: foundEventId(request), updates: { start_time: at(16), end_time: at(17) } }
+    })
+  );
+  await harness.send('Move the dentist to 4pm');
+
+  assert.match(harness.lastReply(), /YES/);
+  assert.strictEqual(startHour(harness.events()[0]), 15, 'nothing changes before confirming');
+
+  harness.llm.push({ reply: 'Moved Dentist to 16:00' });
+  await harness.send('yes');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Moved Dentist to 16:00');
+  assert.strictEqual(startHour(harness.events()[0]), 16);
+
+  // Deleting waits for YES too
+  harness.llm.push(
+    { tool: 'search_calendar_events', args: { query: 'dentist', date_range: 'tomorrow' } },
+    (request) => ({ tool: 'delete_calendar_event', args: { event_id: foundEventId(request), event_title: 'Dentist' } })
+  );
+  await harness.send('Cancel the dentist');
+  assert.strictEqual(harness.events().length, 1, 'nothing is deleted before confirming');
+
+  harness.llm.push({ reply: 'Deleted Dentist' });
+  await harness.send('yes');
+  assert.strictEqual(harness.events().length, 0);
+
+  // Undo walks back one change at a time, without the LLM
+  const requests = harness.llm.requests.length;
+
+  await harness.send('undo');
+  assert.strictEqual(harness.events().length, 1, 'undo restores the deleted event');
+  assert.strictEqual(startHour(harness.events()[0]), 16);
+
+  await harness.send('undo');
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(startHour(harness.events()[0]), 15, 'second undo reverts the move');
+
+  assert.strictEqual(harness.llm.requests.length, requests);
+  assert.strictEqual(harness.llm.remaining(), 0);
+});
+
+test('saying NO keeps the event', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  harness.llm.push(
+    { tool: 'search_calendar_events', args: { query: 'dentist', date_range: 'tomorrow' } },
+    (request) => ({ tool: 'delete_calendar_event', args: { event_id: foundEventId(request) } })
+  );
+  await harness.send('Cancel the dentist');
+  await harness.send('no');
+
+  assert.match(harness.lastReply(), /cancelled - nothing was changed/);
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('saying NO to a delete + create move keeps just the original', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  harness.llm.push(
+    { tool: 'search_calendar_events', args: { query: 'dentist', date_range: 'tomorrow' } },
+    (request) => ({
+      tools: [
+        { tool: 'delete_calendar_event', args: { event_id: foundEventId(request), event_title: 'Dentist' } },
+        { tool: 'create_calendar_event', args: { title: 'Dentist', start_time: at(16), end_time: at(17) } }
+      ]
+    })
+  );
+  await harness.send('Move the dentist to 4pm');
+
+  assert.match(harness.lastReply(), /🗑️ "Dentist"[\s\S]*➕ "Dentist"/, 'the new event is confirmed too');
+  assert.strictEqual(harness.events().length, 1, 'nothing changes before confirming');
+
+  await harness.send('no');
+
+  assert.match(harness.lastReply(), /cancelled - nothing was changed/);
+  assert.deepStrictEqual(harness.events().map(startHour), [15]);
+});
+
+test('a bare yes or no with nothing pending is ignored', async (harness) => {
+  await harness.send('ok');
+  await harness.send('No!');
+
+  assert.strictEqual(harness.client.sent.length, 0);
+  assert.strictEqual(harness.llm.requests.length, 0);
+});
+
+test('a message delivered twice is processed once', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  const message = await harness.send('Dentist tomorrow at 3pm');
+  const replies = harness.replies().length;
+
+  await harness.redeliver(message);
+
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(harness.replies().length, replies);
+  assert.strictEqual(harness.llm.remaining(), 0);
+});
+
+test('a calendar outage is retried instead of answered', async (harness) => {
+  const api = harness.calendarService.calendar.events;
+  const insert = api.insert;
+  api.insert = async () => {
+    api.insert = insert;
+    throw Object.assign(new Error('Backend Error'), { code: 503 });
+  };
+  harness.secretary.messageQueue.retryBaseMs = 0;
+
+  harness.llm.push(createDentist, createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+  await harness.waitFor(() => harness.secretary.messageQueue.size() === 0);
+
+  assert.strictEqual(harness.events().length, 1);
+  assert.deepStrictEqual(harness.replies(), ['Agent Response: Added Dentist'], 'no error reply before the retry');
+  assert.strictEqual(harness.llm.remaining(), 0);
+  assert.strictEqual(ScriptedLLM.lastToolResult(harness.llm.requests[1]), null, 'the retry starts over');
+});
+
+test('a message left unfinished by the last run is replayed on startup', async (harness) => {
+  // Queued, and then the secretary stopped before processing it
+  const message = harness.client.remember(new FakeMessage(harness.client, harness.chat, 'Dentist tomorrow at 3pm'));
+  harness.secretary.messageQueue.enqueue(message);
+
+  const { secretary } = harness;
+  secretary.messageQueue = new MessageQueue();
+  secretary.queueReplayed = false;
+
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  harness.client.emit('ready');
+  await harness.waitFor(() => secretary.messageQueue.size() === 0);
+
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Added Dentist');
+
+  // Delivered again after the restart: already done
+  await harness.redeliver(message);
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(harness.llm.remaining(), 0);
+});
+
+test('a console message is replayed from the queue after a restart', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const harness = await createHarness({
+    chat: { timezone: TIMEZONE },
+    transport: new ConsoleTransport({ input, output, chatName: 'Family Events' })
+  });
+
+  try {
+    // The OpenAI API is down, so the message stays queued for a retry
+    harness.llm.push(() => {
+      throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+    });
+    input.write('Dentist tomorrow at 3pm\n');
+    await harness.waitFor(() => harness.llm.requests.length === 1);
+    assert.strictEqual(harness.events().length, 0);
+
+    // A restart forgets the messages typed in the last run
+    const { secretary } = harness;
+    secretary.transport.messages.clear();
+    secretary.messageQueue = new MessageQueue();
+
+    harness.llm.push(createDentist, { reply: 'Added Dentist' });
+    await secretary.replayQueue();
+    await harness.idle();
+
+    assert.strictEqual(harness.events().length, 1);
+    assert.match(output.read().toString(), /Agent Response: Added Dentist/);
+    assert.strictEqual(secretary.messageQueue.size(), 0);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('console lines reach a chat configured by its ID', async () => {
+  const input = new PassThrough();
+  const chat = { id: '120363000000000001@g.us', name: 'Family Events', timezone: TIMEZONE };
+  const harness = await createHarness({
+    chat,
+    transport: new ConsoleTransport({ input, output: new PassThrough(), chats: [chat] })
+  });
+
+  try {
+    harness.llm.push(createDentist, { reply: 'Added Dentist' });
+    input.write('Dentist tomorrow at 3pm\n');
+    await harness.waitFor(() => harness.llm.remaining() === 0);
+
+    assert.strictEqual(harness.events().length, 1);
+  } finally {
+    await harness.close();
+  }
+});
+
+test('the same event sent again is not created twice', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  harness.llm.push(createDentist, (request) => ({ reply: ScriptedLLM.lastToolResult(request).message }));
+  await harness.send('Reminder: dentist tomorrow 3pm!');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Already in the calendar: Dentist');
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('an undone event can be created again', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  await harness.send('undo');
+  assert.strictEqual(harness.events().length, 0);
+
+  harness.llm.push(createDentist, (request) => ({ reply: ScriptedLLM.lastToolResult(request).message }));
+  await harness.send('Dentist tomorrow at 3pm after all');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Created: Dentist');
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('an event deleted outside the secretary is not a duplicate', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  // Deleted in Google Calendar itself, so the secretary never hears of it
+  harness.calendarService.calendar.remove('primary', harness.events()[0].id);
+
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm, please');
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('.ics files the secretary sends are not imported again', async (harness) => {
+  harness.secretary.chatRegistry.list()[0].icsAttachments = 'created';
+
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  const file = harness.client.sent.find(message => message.type === 'document');
+  assert.strictEqual(file.media.filename, 'Dentist.ics');
+  assert.strictEqual(harness.lastReplyMessage(), file, 'the .ics file is the last thing sent');
+  assert.ok(!harness.replies().some(reply => /Imported/.test(reply)));
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('a sent .ics file reads back as the same event', async (harness) => {
+  harness.secretary.chatRegistry.list()[0].icsAttachments = 'created';
+
+  const title = 'Parents\' evening; bring reports, the permission slip and the form for the school trip';
+  harness.llm.push(
+    { tool: 'create_calendar_event', args: { ...createDentist.args, title, location: 'Hall 2, Main building' } },
+    { reply: 'Added' }
+  );
+  await harness.send('Parents evening tomorrow at 3pm');
+
+  const text = Buffer.from(harness.lastReplyMessage().media.data, 'base64').toString('utf8');
+  assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75), 'long lines are folded');
+
+  const { events } = parseICS(text);
+  const event = toGoogleEvent(events[0], TIMEZONE);
+  assert.strictEqual(event.summary, title);
+  assert.strictEqual(event.location, 'Hall 2, Main building');
+  assert.strictEqual(event.start.dateTime, moment(at(15)).toISOString());
+});
+
+test('a forwarded .ics invite is imported once', async (harness) => {
+  const media = icsFile([
+    // Outlook: Windows time zone name, folded and escaped text, a reminder
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'DTSTART;TZID="W. Europe Standard Time":20260310T090000',
+    'DTEND;TZID="W. Europe Standard Time":20260310T093000',
+    'SUMMARY:Standup\\, planning\\; retro',
+    'DESCRIPTION:Agenda:\\nbring the',
+    '  slides',
+    'LOCATION:Room 4\\, 2nd floor',
+    'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Reminder', 'TRIGGER:-PT15M', 'END:VALARM',
+    'END:VEVENT',
+    // Google: UTC with a DURATION instead of DTEND
+    'BEGIN:VEVENT',
+    'UID:call@example.com',
+    'DTSTART:20260311T140000Z',
+    'DURATION:PT45M',
+    'SUMMARY:Call with the bank',
+    'END:VEVENT',
+    // All day, without a DTEND or UID
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260312',
+    'SUMMARY:School trip',
+    'END:VEVENT',
+    // IANA time zone
+    'BEGIN:VEVENT',
+    'UID:flight@example.com',
+    'DTSTART;TZID=America/New_York:20260313T180000',
+    'DTEND;TZID=America/New_York:20260313T200000',
+    'SUMMARY:Flight home',
+    'END:VEVENT'
+  ]);
+
+  await harness.send('', { media });
+
+  assert.match(harness.lastReply(), /^Agent Response: 📥 Imported 4 of 4 events from invite\.ics/);
+  const [standup, call, trip, flight] = harness.events();
+
+  assert.strictEqual(standup.summary, 'Standup, planning; retro');
+  assert.strictEqual(standup.description, 'Agenda:\nbring the slides', 'folded lines are joined, not the VALARM text');
+  assert.strictEqual(standup.location, 'Room 4, 2nd floor');
+  assert.deepStrictEqual(standup.start, { dateTime: '2026-03-10T09:00:00+01:00', timeZone: 'Europe/Berlin' });
+  assert.strictEqual(standup.iCalUID, 'standup@example.com');
+
+  assert.strictEqual(call.start.dateTime, '2026-03-11T14:00:00.000Z');
+  assert.strictEqual(moment(call.end.dateTime).diff(call.start.dateTime, 'minutes'), 45);
+
+  assert.deepStrictEqual([trip.start, trip.end], [{ date: '2026-03-12' }, { date: '2026-03-13' }]);
+
+  assert.deepStrictEqual(flight.start, { dateTime: '2026-03-13T18:00:00-04:00', timeZone: 'America/New_York' });
+
+  // Forwarded again: every event is recognised, with or without a UID
+  await harness.send('', { media });
+
+  assert.match(harness.lastReply(), /^Agent Response: 📥 Imported 0 of 4 events/);
+  assert.strictEqual((harness.lastReply().match(/skipped: already in the calendar/g) || []).length, 4);
+  assert.strictEqual(harness.events().length, 4);
+});
+
+test('deleting the message for everyone removes its event', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  const message = await harness.send('Dentist tomorrow at 3pm');
+  assert.strictEqual(harness.events().length, 1);
+
+  await harness.revoke(message);
+  assert.strictEqual(harness.events().length, 0);
+
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+  assert.strictEqual(harness.events().length, 1, 'the same event can be sent again');
+});
+
+test('editing a message updates the event it created', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  const message = await harness.send('Dentist tomorrow at 3pm');
+  const eventId = harness.events()[0].id;
+
+  harness.llm.push((request) => {
+    const text = ScriptedLLM.lastUserMessage(request);
+    assert.match(text, /Now: "Orthodontist tomorrow at 3pm"/);
+    assert.ok(text.includes(`event ID: ${eventId}`), 'the events of the original message are listed');
+    return { tool: 'update_calendar_event', args: { event_id: eventId, updates: { title: 'Orthodontist' } } };
+  }, { reply: 'Renamed it to Orthodontist' });
+  await harness.edit(message, 'Orthodontist tomorrow at 3pm');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Renamed it to Orthodontist');
+  assert.deepStrictEqual(harness.events().map(event => event.summary), ['Orthodontist']);
+  assert.strictEqual(harness.llm.remaining(), 0);
+});
+
+test('a reply to a message acts on the event it created', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  const message = await harness.send('Dentist tomorrow at 3pm');
+  const eventId = harness.events()[0].id;
+
+  harness.llm.push((request) => {
+    const text = ScriptedLLM.lastUserMessage(request);
+    assert.match(text, /^QUOTED MESSAGE \(from Me\):\n"Dentist tomorrow at 3pm"/);
+    assert.ok(text.includes(`event ID: ${eventId}`));
+    return { tool: 'update_calendar_event', args: { event_id: eventId, updates: { location: 'Smile Clinic' } } };
+  }, { reply: 'It is at the Smile Clinic' });
+  await harness.send("it's at the Smile Clinic", { quoted: message });
+
+  assert.strictEqual(harness.events()[0].location, 'Smile Clinic');
+});
+
+test('an answer to a clarifying question continues the request', async (harness) => {
+  harness.llm.push({ tool: 'ask_clarifying_question', args: { question: 'What time is the dentist?', options: ['10:00', '15:00'] } });
+  await harness.send('Dentist tomorrow');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: What time is the dentist?\n1. 10:00\n2. 15:00');
+  assert.strictEqual(harness.events().length, 0);
+
+  harness.llm.push((request) => {
+    assert.deepStrictEqual(ScriptedLLM.lastToolResult(request), { success: true, answer: '15:00' });
+    return createDentist;
+  }, { reply: 'Added Dentist tomorrow at 15:00' });
+  await harness.send('15:00');
+
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Added Dentist tomorrow at 15:00');
+  assert.strictEqual(harness.events().length, 1);
+  assert.strictEqual(harness.llm.requests.length, 3, 'the answer resumes the conversation');
+});
+
+test('reactions confirm, cancel and undo', async (harness) => {
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  const cancelDentist = () => harness.llm.push(
+    { tool: 'search_calendar_events', args: { query: 'dentist', date_range: 'tomorrow' } },
+    (request) => ({ tool: 'delete_calendar_event', args: { event_id: foundEventId(request), event_title: 'Dentist' } })
+  );
+
+  // ❌ on the summary is NO
+  cancelDentist();
+  await harness.send('Cancel the dentist');
+  await harness.react(harness.lastReplyMessage(), '❌');
+  assert.match(harness.lastReply(), /cancelled - nothing was changed/);
+  assert.strictEqual(harness.events().length, 1);
+
+  // 👍 is YES
+  cancelDentist();
+  await harness.send('Cancel the dentist');
+  harness.llm.push({ reply: 'Deleted Dentist' });
+  await harness.react(harness.lastReplyMessage(), '👍🏽');
+  assert.strictEqual(harness.lastReply(), 'Agent Response: Deleted Dentist');
+  assert.strictEqual(harness.events().length, 0);
+
+  // ↩️ on that reply brings the event back
+  await harness.react(harness.lastReplyMessage(), '↩️');
+  assert.match(harness.lastReply(), /Undid 1 of 1 operation/);
+  assert.deepStrictEqual(harness.events().map(event => event.summary), ['Dentist']);
+
+  // Reactions of senders who are not allowed do nothing
+  const sent = harness.client.sent.length;
+  await harness.react(harness.lastReplyMessage(), '↩️', { fromMe: false, from: '15551234567@c.us' });
+  assert.strictEqual(harness.client.sent.length, sent);
+  assert.strictEqual(harness.llm.remaining(), 0);
+});
+
+test('/today answers without the LLM', async (harness) => {
+  const today = moment().tz(TIMEZONE).endOf('day').subtract(1, 'hour').startOf('hour');
+  harness.calendarService.seed([{
+    summary: 'Late call',
+    start: { dateTime: today.format(), timeZone: TIMEZONE },
+    end: { dateTime: today.clone().add(30, 'minutes').format(), timeZone: TIMEZONE }
+  }]);
+
+  await harness.send('/today');
+
+  assert.match(harness.lastReply(), /Late call/);
+  assert.strictEqual(harness.llm.requests.length, 0);
+});
+
+test('a paused chat ignores files until /resume', async (harness) => {
+  await harness.send('/pause');
+  assert.match(harness.lastReply(), /Paused/);
+
+  const media = icsFile([
+    'BEGIN:VEVENT', 'UID:school-play@example.com',
+    `DTSTART:${tomorrow.clone().hour(18).utc().format('YYYYMMDD[T]HHmmss[Z]')}`,
+    `DTEND:${tomorrow.clone().hour(19).utc().format('YYYYMMDD[T]HHmmss[Z]')}`,
+    'SUMMARY:School play', 'END:VEVENT'
+  ]);
+
+  const sentBefore = harness.client.sent.length;
+  await harness.send('', { media });
+  assert.strictEqual(harness.client.sent.length, sentBefore, 'no reply while paused');
+  assert.strictEqual(harness.events().length, 0);
+
+  await harness.send('/resume');
+  assert.match(harness.lastReply(), /Resumed/);
+
+  await harness.send('', { media });
+  assert.deepStrictEqual(harness.events().map(event => event.summary), ['School play']);
+});
+
+test('the daily digest is posted once, after a failed attempt', async (harness) => {
+  const settings = harness.secretary.chatRegistry.list()[0];
+  settings.digest = { enabled: true, time: '20:00', day: 'tomorrow', skipEmpty: true };
+
+  // Monday 2 March, with a dentist on Tuesday
+  const monday = (time) => moment.tz(`2026-03-02 ${time}`, TIMEZONE);
+  harness.calendarService.seed([{
+    summary: 'Dentist',
+    start: { dateTime: moment.tz('2026-03-03 15:00', TIMEZONE).format(), timeZone: TIMEZONE },
+    end: { dateTime: moment.tz('2026-03-03 16:00', TIMEZONE).format(), timeZone: TIMEZONE }
+  }]);
+
+  await harness.secretary.postDueDigests(monday('19:59'));
+  assert.strictEqual(harness.client.sent.length, 0, 'not due before 20:00');
+
+  const api = harness.calendarService.calendar.events;
+  const list = api.list;
+  api.list = async () => {
+    throw new Error('Calendar unavailable');
+  };
+  await harness.secretary.postDueDigests(monday('20:00'));
+  assert.strictEqual(harness.client.sent.length, 0);
+  assert.match(harness.secretary.lastError.message, /Calendar unavailable/);
+
+  // The next minute tries again
+  api.list = list;
+  await harness.secretary.postDueDigests(monday('20:01'));
+  assert.match(harness.lastReply(), /Agenda for Tuesday 3 March[\s\S]*Dentist/);
+
+  await harness.secretary.postDueDigests(monday('20:02'));
+  assert.strictEqual(harness.client.sent.length, 1, 'posted once a day');
+
+  // Wednesday has nothing: skipped, and not looked at again that evening
+  const tuesday = (time) => moment.tz(`2026-03-03 ${time}`, TIMEZONE);
+  await harness.secretary.postDueDigests(tuesday('20:00'));
+  harness.calendarService.seed([{
+    summary: 'Late addition',
+    start: { date: '2026-03-04' },
+    end: { date: '2026-03-05' }
+  }]);
+  await harness.secretary.postDueDigests(tuesday('20:01'));
+  assert.strictEqual(harness.client.sent.length, 1);
+});
+
+test('the weekly summary is posted once a week, after a failed attempt', async (harness) => {
+  const settings = harness.secretary.chatRegistry.list()[0];
+  settings.weeklySummary = { enabled: true, day: 'sunday', time: '19:00' };
+
+  const when = (dateTime) => moment.tz(dateTime, TIMEZONE);
+  harness.calendarService.seed([{
+    summary: 'Dentist',
+    start: { dateTime: when('2026-03-02 15:00').format(), timeZone: TIMEZONE },
+    end: { dateTime: when('2026-03-02 16:00').format(), timeZone: TIMEZONE }
+  }]);
+
+  await harness.secretary.postDueDigests(when('2026-02-28 19:00'));
+  await harness.secretary.postDueDigests(when('2026-03-01 18:59'));
+  assert.strictEqual(harness.client.sent.length, 0, 'only on Sunday from 19:00');
+
+  const api = harness.calendarService.calendar.events;
+  const list = api.list;
+  api.list = async () => {
+    throw new Error('Calendar unavailable');
+  };
+  await harness.secretary.postDueDigests(when('2026-03-01 19:00'));
+  assert.strictEqual(harness.client.sent.length, 0);
+
+  api.list = list;
+  await harness.secretary.postDueDigests(when('2026-03-01 19:01'));
+  assert.match(harness.lastReply(), /Week ahead \(Mon 2 Mar – Sun 8 Mar\)[\s\S]*Mon 2: 1 event \(1h\)/);
+
+  await harness.secretary.postDueDigests(when('2026-03-01 19:02'));
+  assert.strictEqual(harness.client.sent.length, 1, 'posted once');
+
+  // Too late once the grace period is over; the next Sunday is on time
+  await harness.secretary.postDueDigests(when('2026-03-08 19:30'));
+  assert.strictEqual(harness.client.sent.length, 1);
+  await harness.secretary.postDueDigests(when('2026-03-15 19:00'));
+  assert.match(harness.lastReply(), /Week ahead \(Mon 16 Mar – Sun 22 Mar\)/);
+});
+
+test('reminders are sent when due, with per-event times', async (harness) => {
+  const settings = harness.secretary.chatRegistry.list()[0];
+  settings.reminders = { enabled: true, minutesBefore: 30, pollSeconds: 60 };
+
+  const when = (time, day = '2026-03-02') => moment.tz(`${day} ${time}`, TIMEZONE);
+  const event = (summary, start, minutes) => ({
+    summary,
+    start: { dateTime: start.format(), timeZone: TIMEZONE },
+    end: { dateTime: start.clone().add(1, 'hour').format(), timeZone: TIMEZONE },
+    ...(minutes !== undefined && { extendedProperties: { private: { whatsappReminderMinutes: String(minutes) } } })
+  });
+  harness.calendarService.seed([
+    event('Dentist', when('15:00')),
+    event('Lunch', when('12:00'), 120),
+    event('Call', when('16:00'), 0),
+    event('Flight', when('10:00', '2026-03-03'), 1440),
+    { summary: 'Holiday', start: { date: '2026-03-02' }, end: { date: '2026-03-03' } }
+  ]);
+  const reminded = () => harness.replies().map(reply => reply.match(/Reminder: "(.+?)"/)[1]);
+
+  await harness.secretary.sendDueReminders(when('09:59'));
+  assert.deepStrictEqual(reminded(), []);
+
+  await harness.secretary.sendDueReminders(when('10:00'));
+  assert.deepStrictEqual(reminded().sort(), ['Flight', 'Lunch']);
+  assert.match(harness.replies().find(reply => /Lunch/.test(reply)), /starts in 2 hours \(12:00\)/);
+
+  await harness.secretary.sendDueReminders(when('10:01'));
+  assert.strictEqual(harness.replies().length, 2, 'each reminder is sent once');
+
+  await harness.secretary.sendDueReminders(when('14:29'));
+  assert.strictEqual(harness.replies().length, 2);
+
+  // A failed poll is caught, and the next one sends the reminder
+  const api = harness.calendarService.calendar.events;
+  const list = api.list;
+  api.list = async () => {
+    throw new Error('Calendar unavailable');
+  };
+  await harness.secretary.sendDueReminders(when('14:30'));
+  assert.strictEqual(harness.replies().length, 2);
+
+  api.list = list;
+
+  // So is one that could not be sent
+  harness.chat.sendMessage = async () => {
+    throw new Error('WhatsApp is down');
+  };
+  await harness.secretary.sendDueReminders(when('14:31'));
+  assert.strictEqual(harness.replies().length, 2);
+
+  delete harness.chat.sendMessage;
+  await harness.secretary.sendDueReminders(when('14:45'));
+  assert.deepStrictEqual(reminded().slice(2), ['Dentist']);
+
+  // No reminder for Call, none once an event has started
+  await harness.secretary.sendDueReminders(when('16:00'));
+  assert.strictEqual(harness.replies().length, 3);
+});
+
+test('per-event reminders are capped at a day before', async (harness) => {
+  harness.llm.push(
+    { tool: 'create_calendar_event', args: { ...createDentist.args, reminder_minutes: 2 * 24 * 60 } },
+    { reply: 'Added Dentist' }
+  );
+  await harness.send('Dentist tomorrow at 3pm, remind me 2 days before');
+
+  assert.strictEqual(harness.events()[0].extendedProperties.private.whatsappReminderMinutes, '1440');
+});
+
+test('other senders are ignored', async (harness) => {
+  const stranger = { fromMe: false, from: '447700900123@c.us' };
+  await harness.send('Party on Saturday', stranger);
+
+  assert.strictEqual(harness.client.sent.length, 0, 'strangers are not answered by default');
+  assert.strictEqual(harness.llm.requests.length, 0);
+  assert.strictEqual(harness.events().length, 0);
+
+  // When the chat asks for it, each stranger is told once
+  harness.secretary.chatRegistry.list()[0].notifyUnauthorized = true;
+  await harness.send('Party on Saturday', stranger);
+  await harness.send('Party on Sunday then?', stranger);
+
+  assert.deepStrictEqual(harness.replies().map(reply => /don't have permission/.test(reply)), [true]);
+
+  // ...in each chat that asks for it
+  const settings = chatSettings({ name: 'Book Club', timezone: TIMEZONE, notifyUnauthorized: true });
+  harness.secretary.chatRegistry.chats.push(settings);
+  const bookClub = harness.client.addChat({ id: '120363000000000002@g.us', name: 'Book Club' });
+  harness.client.receive(bookClub, 'Party on Saturday', stranger);
+  await harness.idle();
+
+  assert.strictEqual(harness.lastReplyMessage().chat, bookClub);
+  assert.match(harness.lastReply(), /don't have permission/);
+  assert.strictEqual(harness.client.sent.length, 2);
+});
+
+test('a dropped connection comes back and the admin is told', async (harness) => {
+  const transport = harness.secretary.transport;
+  harness.client.disconnect('NAVIGATION');
+  assert.strictEqual(transport.connectionState().state, 'reconnecting');
+
+  await harness.waitFor(() => transport.connectionState().state === 'connected');
+
+  const notice = harness.client.sent.find(message => message.chat === harness.client.selfChat);
+  assert.match(notice.body, /WhatsApp is back/);
+  assert.strictEqual(transport.connectionState().recovered.attempts, 1);
+
+  // Messages are handled again
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+  assert.strictEqual(harness.events().length, 1);
+});
+
+test('a reconnect while a message is processed does not run it twice', async (harness) => {
+  const transport = harness.secretary.transport;
+
+  // The connection drops and comes back while the LLM works on the message
+  harness.llm.push(async () => {
+    harness.client.disconnect('NAVIGATION');
+    while (transport.connectionState().state !== 'connected') {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return createDentist;
+  }, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+  await harness.idle();
+
+  assert.strictEqual(harness.llm.requests.length, 2);
+  assert.strictEqual(harness.events().length, 1);
+  assert.deepStrictEqual(harness.replies().filter(reply => /Added/.test(reply)), ['Agent Response: Added Dentist']);
+  assert.strictEqual(harness.secretary.messageQueue.size(), 0);
+});
+
+test('a logged out session reports the new QR scan', async (harness) => {
+  harness.client.disconnect('LOGOUT');
+  await harness.waitFor(() => harness.secretary.transport.connectionState().state === 'connected');
+
+  assert.match(harness.lastReply(), /logged out and has been linked again with a new QR scan/);
+});
+
+test('an unresponsive session is restarted', async (harness) => {
+  const transport = harness.secretary.transport;
+  harness.client.state = 'CONFLICT';
+
+  await transport.checkHealth();
+  assert.strictEqual(transport.connectionState().state, 'connected', 'one failed check is tolerated');
+
+  await transport.checkHealth();
+  assert.strictEqual(transport.connectionState().state, 'reconnecting');
+  assert.match(transport.connectionState().reason, /unresponsive: state is CONFLICT/);
+
+  await harness.waitFor(() => transport.connectionState().state === 'connected');
+  assert.strictEqual(harness.client.state, 'CONNECTED');
+});
+
+test('/healthz and /status report on the secretary', async (harness) => {
+  harness.secretary.statusServer = new StatusServer(harness.secretary, { port: 0, host: '127.0.0.1' });
+  const port = await harness.secretary.statusServer.start();
+
+  harness.llm.push(createDentist, { reply: 'Added Dentist' });
+  await harness.send('Dentist tomorrow at 3pm');
+
+  const health = await get(port, '/healthz');
+  assert.strictEqual(health.statusCode, 200);
+  assert.deepStrictEqual(
+    Object.entries(health.body.checks).map(([name, check]) => [name, check.ok]),
+    [['transport', true], ['calendar', true], ['llm', true]]
+  );
+
+  const status = await get(port, '/status');
+  assert.strictEqual(status.statusCode, 200);
+  assert.strictEqual(status.body.stats.messagesProcessed, 1, 'replies are not counted');
+  assert.strictEqual(status.body.queue.depth, 0);
+  assert.strictEqual(status.body.transport.state, 'connected');
+  assert.strictEqual(status.body.model.provider, 'openai');
+  assert.strictEqual(status.body.lastError, null);
+
+  // A broken calendar shows up once the cached checks expire
+  harness.calendarService.calendar.calendarList.list = async () => {
+    throw new Error('invalid_grant');
+  };
+  harness.secretary.serviceChecks = null;
+
+  const unhealthy = await get(port, '/healthz');
+  assert.strictEqual(unhealthy.statusCode, 503);
+  assert.deepStrictEqual(unhealthy.body.checks.calendar, { ok: false, error: 'invalid_grant' });
+
+  // So does an LLM that never answers
+  const checkTimeout = config.statusServer.checkTimeoutSeconds;
+  config.statusServer.checkTimeoutSeconds = 0.05;
+  harness.llm.models.retrieve = () => new Promise(() => {});
+  harness.secretary.serviceChecks = null;
+
+  try {
+    const hanging = await get(port, '/healthz');
+    assert.strictEqual(hanging.statusCode, 503);
+    assert.deepStrictEqual(hanging.body.checks.llm, { ok: false, error: 'timeout' });
+  } finally {
+    config.statusServer.checkTimeoutSeconds = checkTimeout;
+  }
+
+  assert.strictEqual((await get(port, '/nope')).statusCode, 404);
+});
+
+// Each test gets its own secretary; its logs are only shown when it fails
+async function run() {
+  let failed = 0;
+
+  // Reconnect at once instead of after seconds
+  config.connection.reconnectBaseSeconds = 0;
+
+  for (const { name, fn } of tests) {
+    const logs = [];
+    const log = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+
+    let harness = null;
+    let error = null;
+
+    try {
+      harness = await createHarness({ chat: { timezone: TIMEZONE } });
+      await fn(harness);
+    } catch (caught) {
+      error = caught;
+    } finally {
+      await harness?.close();
+      console.log = log;
+    }
+
+    if (error) {
+      failed++;
+      console.log(chalk.red(`❌ ${name}`));
+      console.log(chalk.gray(logs.join('\n')));
+      console.log(chalk.red(error.stack));
+    } else {
+      console.log(chalk.green(`✅ ${name}`));
+    }
+  }
+
+  console.log(failed === 0
+    ? chalk.green.bold(`\n🎉 All ${tests.length} flows passed`)
+    : chalk.red.bold(`\n❌ ${failed} of ${tests.length} flows failed`));
+
+  // Retry timers of failed messages would keep the process alive
+  process.exit(failed === 0 ? 0 : 1);
+}
+
+run();
@@ -0,0 +1,177 @@
+const EventEmitter = require('events');
+
+// The phone number the fake client is logged in with
+const OWN_NUMBER = '15550000000';
+
+// A message in the shape of a whatsapp-web.js Message
+class FakeMessage {
+  constructor(client, chat, body, options = {}) {
+    this.client = client;
+    this.chat = chat;
+    this.id = { _serialized: options.id || `fake-${client.nextId++}` };
+    this.body = body;
+    this.fromMe = options.fromMe !== undefined ? options.fromMe : true;
+    this.from = this.fromMe ? `${OWN_NUMBER}@c.us` : options.from;
+    this.author = chat.isGroup ? this.from : undefined;
+    this.timestamp = Math.floor(Date.now() / 1000);
+    this.hasMedia = false;
+    this.type = 'chat';
+    this.quoted = options.quoted || null;
+    this.hasQuotedMsg = !!this.quoted;
+    this._data = { notifyName: options.senderName || (this.fromMe ? 'Me' : this.from) };
+
+    // A document (MessageMedia-like { mimetype, data, filename })
+    this.media = options.media || null;
+    if (this.media) {
+      this.hasMedia = true;
+      this.type = 'document';
+      this._data.mimetype = this.media.mimetype;
+      this._data.filename = this.media.filename;
+    }
+  }
+
+  // Text, or a MessageMedia sent as a document
+  async reply(content) {
+    return typeof content === 'string'
+      ? this.client.sendOwnMessage(this.chat, content, { quoted: this })
+      : this.client.sendOwnMessage(this.chat, '', { quoted: this, media: content });
+  }
+
+  async getChat() {
+    return this.chat;
+  }
+
+  async getQuotedMessage() {
+    return this.quoted;
+  }
+
+  async downloadMedia() {
+    return this.media && { mimetype: this.media.mimetype, data: this.media.data, filename: this.media.filename };
+  }
+}
+
+// A chat in the shape of a whatsapp-web.js Chat
+class FakeChat {
+  constructor(client, { id, name, isGroup = true }) {
+    this.client = client;
+    this.id = { _serialized: id, user: id.split('@')[0] };
+    this.name = name;
+    this.isGroup = isGroup;
+  }
+
+  async sendMessage(text) {
+    return this.client.sendOwnMessage(this, text);
+  }
+}
+
+// Stand-in for whatsapp-web.js's Client. Tests script what happens on the
+// "phone" (new messages, edits, deletes, reactions, dropped connections) and
+// the client emits the same events as the real one; everything sent is kept in `sent`.
+class FakeWhatsAppClient extends EventEmitter {
+  constructor() {
+    super();
+    this.info = { wid: { user: OWN_NUMBER, _serialized: `${OWN_NUMBER}@c.us` } };
+    this.state = 'CONNECTED';
+    this.loggedOut = false;
+    this.nextId = 1;
+    this.chats = new Map();
+    this.messages = new Map();
+    this.sent = [];
+
+    // My "message yourself" chat
+    this.selfChat = this.addChat({ id: `${OWN_NUMBER}@c.us`, name: 'Me', isGroup: false });
+  }
+
+  // After a logout the session has to be linked again with a QR code
+  async initialize() {
+    if (this.loggedOut) {
+      this.loggedOut = false;
+      this.emit('qr', 'fake-qr-code');
+    }
+
+    this.state = 'CONNECTED';
+    this.emit('authenticated');
+    this.emit('ready');
+  }
+
+  async destroy() {}
+
+  async getState() {
+    return this.state;
+  }
+
+  // The connection drops, e.g. 'NAVIGATION' or 'LOGOUT'
+  disconnect(reason) {
+    this.state = null;
+    this.loggedOut = reason === 'LOGOUT';
+    this.emit('disconnected', reason);
+  }
+
+  addChat(options) {
+    const chat = new FakeChat(this, options);
+    this.chats.set(chat.id._serialized, chat);
+    return chat;
+  }
+
+  // A new message in the chat, by default written by me. options.media
+  // ({ mimetype, data (base64), filename }) attaches a document.
+  receive(chat, body, options = {}) {
+    const message = this.remember(new FakeMessage(this, chat, body, options));
+    this.emit('message_create', message);
+    return message;
+  }
+
+  // Messages I send show up as message_create too, like on WhatsApp
+  sendOwnMessage(chat, text, options = {}) {
+    const message = this.remember(new FakeMessage(this, chat, text, { ...options, fromMe: true }));
+    this.sent.push(message);
+    this.emit('message_create', message);
+    return message;
+  }
+
+  edit(message, newBody) {
+    const prevBody = message.body;
+    message.body = newBody;
+    this.emit('message_edit', message, newBody, prevBody);
+  }
+
+  // Deleted for everyone: WhatsApp sends the tombstone and the original
+  revoke(message) {
+    const tombstone = new FakeMessage(this, message.chat, '', {
+      id: message.id._serialized,
+      fromMe: message.fromMe,
+      from: message.from
+    });
+    tombstone.type = 'revoked';
+    this.emit('message_revoke_everyone', tombstone, message);
+  }
+
+  react(message, reaction, options = {}) {
+    const fromMe = options.fromMe !== undefined ? options.fromMe : true;
+    this.emit('message_reaction', {
+      id: { fromMe },
+      msgId: message.id,
+      reaction,
+      senderId: fromMe ? `${OWN_NUMBER}@c.us` : options.from
+    });
+  }
+
+  remember(message) {
+    this.messages.set(message.id._serialized, message);
+    return message;
+  }
+
+  async getMessageById(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  async getChatById(chatId) {
+    return this.chats.get(chatId) || null;
+  }
+
+  async getChats() {
+    return [...this.chats.values()];
+  }
+}
+
+module.exports = { FakeWhatsAppClient, FakeMessage, FakeChat, OWN_NUMBER };
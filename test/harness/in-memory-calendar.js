@@ -0,0 +1,150 @@
+const moment = require('moment-timezone');
+const CalendarService = require('../../src/services/calendar-service');
+
+// Error shaped like the googleapis client's (code is the HTTP status)
+function apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// In-memory stand-in for the googleapis calendar client: the parts of
+// calendar.events and calendar.calendarList that CalendarService uses, with
+// Google's behaviour (deleted events stay as "cancelled", 404/410 errors).
+class InMemoryCalendarApi {
+  constructor() {
+    this.store = new Map();
+    this.nextId = 1;
+
+    this.calendarList = {
+      list: async () => ({ data: { items: [{ id: 'primary', summary: 'Test calendar', primary: true }] } })
+    };
+
+    this.events = {
+      list: async (params) => ({ data: { items: this.list(params) } }),
+      get: async ({ calendarId, eventId }) => ({ data: clone(this.find(calendarId, eventId)) }),
+      insert: async ({ calendarId, resource }) => ({ data: this.insert(calendarId, resource) }),
+      import: async ({ calendarId, resource }) => ({ data: this.import(calendarId, resource) }),
+      update: async ({ calendarId, eventId, resource }) => ({ data: this.update(calendarId, eventId, resource) }),
+      delete: async ({ calendarId, eventId }) => {
+        this.remove(calendarId, eventId);
+        return { data: '' };
+      }
+    };
+  }
+
+  key(calendarId, eventId) {
+    return `${calendarId}/${eventId}`;
+  }
+
+  find(calendarId, eventId) {
+    const event = this.store.get(this.key(calendarId, eventId));
+    if (!event) {
+      throw apiError(404, 'Not Found');
+    }
+    return event;
+  }
+
+  insert(calendarId, resource) {
+    const id = `evt${this.nextId++}`;
+    const now = new Date().toISOString();
+    const event = {
+      iCalUID: `${id}@google.com`,
+      ...clone(resource),
+      id,
+      status: 'confirmed',
+      htmlLink: `https://calendar.example/${id}`,
+      created: now,
+      updated: now
+    };
+
+    this.store.set(this.key(calendarId, id), event);
+    return clone(event);
+  }
+
+  // Import keeps the iCalUID and updates an existing copy of the same UID
+  import(calendarId, resource) {
+    const existing = [...this.store.entries()].find(([key, event]) =>
+      key.startsWith(`${calendarId}/`) && event.iCalUID === resource.iCalUID
+    );
+
+    return existing
+      ? this.update(calendarId, existing[1].id, { ...resource, status: 'confirmed' })
+      : this.insert(calendarId, resource);
+  }
+
+  update(calendarId, eventId, resource) {
+    const existing = this.find(calendarId, eventId);
+    const event = {
+      ...clone(resource),
+      id: eventId,
+      iCalUID: existing.iCalUID,
+      status: resource.status || existing.status,
+      htmlLink: existing.htmlLink,
+      created: existing.created,
+      updated: new Date().toISOString()
+    };
+
+    this.store.set(this.key(calendarId, eventId), event);
+    return clone(event);
+  }
+
+  remove(calendarId, eventId) {
+    const event = this.find(calendarId, eventId);
+    if (event.status === 'cancelled') {
+      throw apiError(410, 'Resource has been deleted');
+    }
+    event.status = 'cancelled';
+  }
+
+  // Events overlapping [timeMin, timeMax), in start order
+  list({ calendarId, timeMin, timeMax, iCalUID, showDeleted = false }) {
+    return [...this.store.entries()]
+      .filter(([key]) => key.startsWith(`${calendarId}/`))
+      .map(([, event]) => event)
+      .filter(event => showDeleted || event.status !== 'cancelled')
+      .filter(event => !iCalUID || event.iCalUID === iCalUID)
+      .filter(event => {
+        const { start, end } = this.span(event);
+        return (!timeMax || start.isBefore(timeMax)) && (!timeMin || end.isAfter(timeMin));
+      })
+      .sort((a, b) => this.span(a).start.valueOf() - this.span(b).start.valueOf())
+      .map(clone);
+  }
+
+  span(event) {
+    const start = moment.parseZone(event.start.dateTime || event.start.date);
+    const end = moment.parseZone(event.end?.dateTime || event.end?.date || start);
+    return { start, end: end.isAfter(start) ? end : start.clone().add(1, 'minute') };
+  }
+}
+
+// The real CalendarService on top of the in-memory client, so the journal,
+// undo, duplicate checks and everything else behave as in production
+class InMemoryCalendarService extends CalendarService {
+  constructor(options = {}) {
+    super(options);
+    this.calendar = options.api || new InMemoryCalendarApi();
+  }
+
+  async initialize() {
+    return true;
+  }
+
+  // Events that are not deleted, across all calendars, in start order
+  allEvents() {
+    return [...this.calendar.store.values()]
+      .filter(event => event.status !== 'cancelled')
+      .sort((a, b) => this.calendar.span(a).start.valueOf() - this.calendar.span(b).start.valueOf())
+      .map(clone);
+  }
+
+  // Put events straight into the calendar, bypassing the journal
+  seed(events, calendarId = this.calendarId) {
+    return events.map(event => this.calendar.insert(calendarId, event));
+  }
+}
+
+module.exports = { InMemoryCalendarApi, InMemoryCalendarService };
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config');
+const WhatsAppSecretary = require('../../src/whatsapp-secretary');
+const WhatsAppTransport = require('../../src/transports/whatsapp-transport');
+const { FakeWhatsAppClient } = require('./fake-whatsapp-client');
+const { InMemoryCalendarService } = require('./in-memory-calendar');
+const ScriptedLLM = require('./scripted-llm');
+
+// Settings of the monitored test group, as config.js would build them from
+// chats.json. Scheduled posts are off so tests decide what runs.
+function chatSettings(overrides = {}) {
+  return {
+    name: 'Family Events',
+    id: null,
+    private: false,
+    calendarId: 'primary',
+    timezone: 'Europe/London',
+    defaultEventDuration: 60,
+    autoReply: true,
+    replyMessage: config.whatsapp.replyMessage,
+    icsAttachments: 'none',
+    onRevoke: 'delete',
+    digest: { ...config.digest, enabled: false },
+    weeklySummary: { ...config.weeklySummary, enabled: false },
+    reminders: { ...config.reminders, enabled: false },
+    allowedSenders: [],
+    notifyUnauthorized: false,
+    ...overrides
+  };
+}
+
+// Ollama is never used: GPT-4 handles every message through the scripted LLM
+const offlineFallbackLLM = {
+  checkOllamaConnection: async () => true,
+  checkConnection: async () => {},
+  extractEventInfo: async () => ({ isEvent: false, reason: 'offline test harness' })
+};
+
+// A secretary running entirely in memory: fake WhatsApp client, in-memory
+// calendar and a scripted LLM, with its data files in a temporary directory.
+//
+//   const harness = await createHarness({ script: [{ tool: ..., args: ... }, { reply: 'Done' }] });
+//   await harness.send('Dentist tomorrow at 3pm');
+//   harness.lastReply();   // "Agent Response: Done"
+//   harness.events();      // events in the calendar
+//   await harness.close();
+//
+// options.transport replaces the WhatsApp transport on the fake client, e.g.
+// with a console transport reading from a stream.
+async function createHarness(options = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'secretary-test-'));
+  const previous = { dataDir: config.storage.dataDir, debug: config.debug.enabled };
+  config.storage.dataDir = dataDir;
+  // Debug logging is on by default and would write to logs/debug
+  config.debug.enabled = false;
+
+  const client = new FakeWhatsAppClient();
+  const settings = chatSettings(options.chat);
+  const chat = client.addChat({ id: '120363000000000001@g.us', name: settings.name });
+  const llm = options.llm || new ScriptedLLM(options.script);
+  const calendarService = new InMemoryCalendarService();
+
+  const secretary = new WhatsAppSecretary({
+    transport: options.transport || new WhatsAppTransport({ client }),
+    calendarService,
+    openai: llm,
+    fallbackLLMService: options.fallbackLLMService || offlineFallbackLLM,
+    chats: [settings]
+  });
+
+  if (!await secretary.initialize()) {
+    throw new Error('Secretary failed to initialize');
+  }
+
+  const harness = {
+    secretary,
+    client,
+    chat,
+    llm,
+    calendarService,
+    dataDir,
+
+    // A new message in the group (by default from me); resolves once handled
+    async send(body, messageOptions = {}) {
+      const message = client.receive(chat, body, messageOptions);
+      await harness.idle();
+      return message;
+    },
+
+    // Deliver an existing message again, as WhatsApp does after a reconnect
+    async redeliver(message) {
+      client.emit('message_create', message);
+      await harness.idle();
+    },
+
+    async edit(message, newBody) {
+      client.edit(message, newBody);
+      await harness.idle();
+    },
+
+    async revoke(message) {
+      client.revoke(message);
+      await harness.idle();
+    },
+
+    async react(message, reaction, reactionOptions) {
+      client.react(message, reaction, reactionOptions);
+      await harness.idle();
+    },
+
+    // Everything the secretary sent, oldest first
+    replies() {
+      return client.sent.map(message => message.body);
+    },
+
+    lastReply() {
+      return client.sent[client.sent.length - 1]?.body || null;
+    },
+
+    lastReplyMessage() {
+      return client.sent[client.sent.length - 1] || null;
+    },
+
+    // Events in the calendar that are not deleted
+    events() {
+      return calendarService.allEvents();
+    },
+
+    // Wait until the condition holds, e.g. for a reconnect
+    async waitFor(condition, timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+
+      while (!condition()) {
+        if (Date.now() > deadline) {
+          throw new Error(`Condition not met within ${timeoutMs}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      await harness.idle();
+    },
+
+    // Wait until every message has been handled. Handling hops between
+    // promises and the calendar queue, so wait for a few quiet turns in a row.
+    async idle(timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      let quietTurns = 0;
+
+      while (quietTurns < 5) {
+        if (Date.now() > deadline) {
+          throw new Error(`Secretary still busy after ${timeoutMs}ms`);
+        }
+
+        await new Promise(resolve => setImmediate(resolve));
+        const busy = secretary.calendarLimit.activeCount + secretary.calendarLimit.pendingCount > 0;
+        quietTurns = busy ? 0 : quietTurns + 1;
+      }
+    },
+
+    // Stop the secretary without exiting the process (shutdown() would)
+    async close() {
+      clearInterval(secretary.digestTimer);
+      clearInterval(secretary.reminderTimer);
+      await secretary.statusServer?.stop();
+      await secretary.transport.destroy();
+      config.storage.dataDir = previous.dataDir;
+      config.debug.enabled = previous.debug;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+
+  return harness;
+}
+
+module.exports = {
+  createHarness,
+  chatSettings,
+  ScriptedLLM,
+  FakeWhatsAppClient,
+  InMemoryCalendarService
+};
@@ -0,0 +1,84 @@
+// Stand-in for the OpenAI client used by the GPT-4 bridge. Each call to
+// chat.completions.create takes the next step of the script:
+// - { tool: 'name', args: {...} }       one tool call
+// - { tools: [{ tool, args }, ...] }    several tool calls in one step
+// - { reply: 'text' }                   a final answer
+// - (request) => step                   a step built from the conversation so
+//                                       far, e.g. to use an event ID a tool returned
+//                                       (or a promise of one, to act while the LLM "thinks")
+// Args may also be a function of the request.
+class ScriptedLLM {
+  constructor(script = []) {
+    this.script = [...script];
+    this.requests = [];
+    this.nextCallId = 1;
+
+    this.chat = {
+      completions: {
+        create: async (request) => this.respond(request)
+      }
+    };
+
+    // Health checks look the model up
+    this.models = {
+      retrieve: async (model) => ({ id: model, object: 'model' })
+    };
+  }
+
+  // Queue more steps, e.g. for the next message of a test
+  push(...steps) {
+    this.script.push(...steps);
+  }
+
+  remaining() {
+    return this.script.length;
+  }
+
+  async respond(request) {
+    // The conversation array keeps growing after the call; keep a snapshot
+    this.requests.push({ ...request, messages: [...request.messages] });
+
+    if (this.script.length === 0) {
+      throw new Error(`Scripted LLM has no step left for: ${ScriptedLLM.lastUserMessage(request)}`);
+    }
+
+    let step = this.script.shift();
+    if (typeof step === 'function') {
+      step = await step(request);
+    }
+
+    return { choices: [{ message: this.toMessage(step, request) }] };
+  }
+
+  toMessage(step, request) {
+    if (step.reply !== undefined) {
+      return { role: 'assistant', content: step.reply };
+    }
+
+    const calls = step.tools || [step];
+    return {
+      role: 'assistant',
+      content: null,
+      tool_calls: calls.map(({ tool, args = {} }) => ({
+        id: `call_${this.nextCallId++}`,
+        type: 'function',
+        function: {
+          name: tool,
+          arguments: JSON.stringify(typeof args === 'function' ? args(request) : args)
+        }
+      }))
+    };
+  }
+
+  // Parsed result of the latest tool call in the conversation
+  static lastToolResult(request) {
+    const message = [...request.messages].reverse().find(message => message.role === 'tool');
+    return message ? JSON.parse(message.content) : null;
+  }
+
+  static lastUserMessage(request) {
+    return [...request.messages].reverse().find(message => message.role === 'user')?.content || '';
+  }
+}
+
+module.exports = ScriptedLLM;